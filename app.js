@@ -1,7 +1,27 @@
 import express from 'express';
 import { handleStartCall } from './routes/startCall.js';
 import { handleVoice, handleStatus } from './routes/voice.js';
-import { handleGather } from './routes/gather.js';
+import { handleGather, handleGatherPending } from './routes/gather.js';
+import { handleInbound } from './routes/inbound.js';
+import { handleSms } from './routes/sms.js';
+import { handleCheckInCall, handleCheckInAnswer, handleCheckInStatus } from './routes/checkIns.js';
+import {
+  handleListSchedules,
+  handleGetSchedule,
+  handleCreateSchedule,
+  handleUpdateSchedule,
+  handleDeleteSchedule
+} from './routes/schedules.js';
+import {
+  handleListUsers,
+  handleGetUser,
+  handleCreateUser,
+  handleUpdateUser,
+  handleDeleteUser
+} from './routes/users.js';
+import { llmProviders } from './utils/llmProviders.js';
+import { getBreakerStatus } from './utils/llmFailover.js';
+import { getStructuredOutputStats } from './utils/structuredOutput.js';
 
 const app = express();
 app.use(express.urlencoded({ extended: false }));
@@ -11,10 +31,36 @@ app.use(express.json());
 app.post('/start-call', handleStartCall);
 app.post('/voice', handleVoice);
 app.post('/gather', handleGather);
+app.post('/gather/pending', handleGatherPending);
+
+// Inbound calls - point the Twilio number's voice webhook here and its status callback at /status
+app.post('/inbound', handleInbound);
+
+// Text-message planning - point the Twilio number's messaging webhook here
+app.post('/sms', handleSms);
+
+// Midday check-in calls about morning commitments
+app.post('/check-in', handleCheckInCall);
+app.post('/check-in/answer', handleCheckInAnswer);
+app.post('/check-in/status', handleCheckInStatus);
 
 // Status callback route for Twilio
 app.post('/status', handleStatus);
 
+// Call schedule management
+app.get('/schedules', handleListSchedules);
+app.get('/schedules/:id', handleGetSchedule);
+app.post('/schedules', handleCreateSchedule);
+app.put('/schedules/:id', handleUpdateSchedule);
+app.delete('/schedules/:id', handleDeleteSchedule);
+
+// User profile management
+app.get('/users', handleListUsers);
+app.get('/users/:id', handleGetUser);
+app.post('/users', handleCreateUser);
+app.put('/users/:id', handleUpdateUser);
+app.delete('/users/:id', handleDeleteUser);
+
 // Health check endpoint for Docker
 app.get('/health', (req, res) => {
   res.json({ 
@@ -38,6 +84,11 @@ app.get('/status', (req, res) => {
     openai: {
       configured: !!process.env.OPENAI_API_KEY
     },
+    llm: {
+      tasks: llmProviders.describe(),
+      breakers: getBreakerStatus(),
+      structuredOutput: getStructuredOutputStats()
+    },
     notion: {
       configured: !!process.env.NOTION_API_KEY
     }
@@ -9,4 +9,7 @@ export const {
   EVENTS_ENDPOINT,
   HABITICA_USER_ID,
   HABITICA_API_TOKEN
-} = process.env;
\ No newline at end of file
+} = process.env;
+
+// Used for schedules and calendar entries that don't name their own timezone
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/Chicago';
\ No newline at end of file
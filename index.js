@@ -1,10 +1,24 @@
 // index.js - Main entry point
 import app from './app.js';
 import { PORT } from './config.js';
+import { callScheduler } from './utils/callScheduler.js';
+import { callRedialer } from './utils/callRedialer.js';
+import { smsSessions } from './utils/smsSessions.js';
+import { checkInScheduler } from './utils/checkInScheduler.js';
 
 const port = PORT || 3002;
 
 app.listen(port, () => {
   console.log(`🚀 Morning Coach listening on port ${port}`);
   console.log(`🎯 Ready for Twilio webhooks`);
+  
+  // Reload saved schedules and start placing calls on our own
+  callScheduler.start();
+  callRedialer.resumePending();
+  
+  // Follow up on commitments at the times people picked
+  checkInScheduler.start();
+  
+  // Close idle text conversations so they get logged like finished calls
+  smsSessions.start();
 });
\ No newline at end of file
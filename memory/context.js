@@ -3,5 +3,6 @@ const store = new Map();
 export const ctx = {
   get: (key) => store.get(key),
   set: (key, value) => store.set(key, value),
+  delete: (key) => store.delete(key),
   clear: () => store.clear(),
 };
\ No newline at end of file
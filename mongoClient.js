@@ -7,5 +7,15 @@ await client.connect();
 const db = client.db('local_coaches');
 const memory = db.collection('memory');
 const log = db.collection('log');
+const schedules = db.collection('call_schedules');
+const users = db.collection('users');
+const checkIns = db.collection('check_ins');
 
-export { client, db, memory, log };
\ No newline at end of file
+// One profile per number - phone numbers are stored normalized (E.164), see utils/userProfiles.js
+try {
+  await users.createIndex({ phoneNumber: 1 }, { unique: true });
+} catch (error) {
+  console.error('❌ Could not create the unique phone number index on users (duplicate numbers?):', error.message);
+}
+
+export { client, db, memory, log, schedules, users, checkIns };
\ No newline at end of file
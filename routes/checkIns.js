@@ -0,0 +1,91 @@
+// routes/checkIns.js - Voice side of midday check-ins (texts are answered through /sms)
+import pkg from 'twilio';
+const { twiml } = pkg;
+import { checkInScheduler } from '../utils/checkInScheduler.js';
+import { UNANSWERED_STATUSES } from '../utils/callRedialer.js';
+
+export async function handleCheckInCall(req, res) {
+  const response = new twiml.VoiceResponse();
+
+  try {
+    const checkIn = await checkInScheduler.getCheckIn(req.query.id);
+
+    if (!checkIn) {
+      console.log(`⚠️ Unknown check-in ${req.query.id}, hanging up`);
+      response.hangup();
+      return res.type('text/xml').send(response.toString());
+    }
+
+    // Not worth leaving a voicemail for a yes/no question
+    if (req.body.AnsweredBy && req.body.AnsweredBy !== 'human' && req.body.AnsweredBy !== 'unknown') {
+      console.log(`🤖 Check-in call for "${checkIn.task}" hit ${req.body.AnsweredBy}`);
+      await checkInScheduler.markMissed(checkIn, 'voicemail-answered');
+      response.hangup();
+      return res.type('text/xml').send(response.toString());
+    }
+
+    response.gather({
+      input: 'speech',
+      action: `/check-in/answer?id=${checkIn._id}`,
+      speechTimeout: 'auto',
+      timeout: 8,
+      hints: 'yes, no, done, finished, not yet'
+    }).say({
+      voice: 'Google.en-US-Neural2-I'
+    }, `Quick check-in. Did you get to ${checkIn.task.charAt(0).toLowerCase()}${checkIn.task.slice(1)}?`);
+
+    response.say({
+      voice: 'Google.en-US-Neural2-I'
+    }, "No worries, I'll let you get back to it.");
+    response.hangup();
+
+  } catch (error) {
+    console.error('❌ Check-in call error:', error);
+    response.hangup();
+  }
+
+  res.type('text/xml').send(response.toString());
+}
+
+export async function handleCheckInAnswer(req, res) {
+  const response = new twiml.VoiceResponse();
+
+  try {
+    const checkIn = await checkInScheduler.getCheckIn(req.query.id);
+    const answer = req.body.SpeechResult;
+
+    console.log(`🗣️ Check-in answer: "${answer}"`);
+
+    if (checkIn && answer) {
+      const { reply } = await checkInScheduler.recordAnswer(checkIn, answer);
+      response.say({ voice: 'Google.en-US-Neural2-I' }, `${reply} Talk soon.`);
+    } else {
+      response.say({ voice: 'Google.en-US-Neural2-I' }, "No worries, I'll let you get back to it.");
+    }
+
+  } catch (error) {
+    console.error('❌ Check-in answer error:', error);
+    response.say({ voice: 'Google.en-US-Neural2-I' }, 'Thanks, talk soon.');
+  }
+
+  response.hangup();
+  res.type('text/xml').send(response.toString());
+}
+
+// Calls that were never picked up (or hung up before answering) count as missed
+export async function handleCheckInStatus(req, res) {
+  const callStatus = req.body.CallStatus;
+
+  try {
+    if (callStatus === 'completed' || UNANSWERED_STATUSES.includes(callStatus)) {
+      const checkIn = await checkInScheduler.getCheckIn(req.query.id);
+      if (checkIn) {
+        await checkInScheduler.markMissed(checkIn, callStatus === 'completed' ? 'no-answer-given' : callStatus);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Check-in status error:', error);
+  }
+
+  res.status(200).send();
+}
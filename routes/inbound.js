@@ -0,0 +1,82 @@
+// routes/inbound.js - Let people call the coach themselves
+import pkg from 'twilio';
+const { twiml } = pkg;
+import { getTodayPlan } from '../utils/getTodayPlan.js';
+import { preCallManager } from '../utils/preCallPrep.js';
+import { userDirectory } from '../utils/userProfiles.js';
+import { callRedialer } from '../utils/callRedialer.js';
+import { callTypeForTime, prepareEveningReflection } from '../utils/eveningReflection.js';
+import { shouldAnnounceShortcuts } from '../utils/keypadShortcuts.js';
+import { startPlanningSession } from './voice.js';
+
+export async function handleInbound(req, res) {
+  const callSid = req.body.CallSid;
+  const from = req.body.From;
+  
+  console.log(`📲 Inbound call ${callSid} from ${from}`);
+  
+  try {
+    // Only people with a profile get a planning session
+    const user = await userDirectory.getByPhone(from);
+    
+    if (!user) {
+      console.log(`🚫 Unknown caller ${from}, declining politely`);
+      
+      const response = new twiml.VoiceResponse();
+      response.say({ 
+        voice: 'Google.en-US-Neural2-I' 
+      }, "Hi there. I don't recognize this number, so I can't pull up a plan for you. Please ask to be added, then call back. Have a good day!");
+      response.hangup();
+      
+      return res.type('text/xml').send(response.toString());
+    }
+    
+    // They're calling back, so any redials still waiting to go out can stop
+    callRedialer.cancelForPhone(user.phoneNumber);
+    
+    // Calling in the evening means reflecting on the day rather than planning it
+    if (callTypeForTime(user.timezone) === 'evening') {
+      const { events, habits, reflection } = await prepareEveningReflection(user);
+      
+      const response = startPlanningSession(callSid, {
+        user,
+        events,
+        habits,
+        direction: 'inbound',
+        callType: 'evening',
+        reflection,
+        announceShortcuts: await shouldAnnounceShortcuts(user)
+      });
+      
+      return res.type('text/xml').send(response.toString());
+    }
+    
+    // Reuse this morning's prepared plan when we have it, otherwise fetch it live
+    const cached = preCallManager.getCachedPlan(user.userId);
+    const { events, habits } = cached || await getTodayPlan(user);
+    
+    console.log(`📋 Found ${habits.length} habits and ${events.length} events for ${user.displayName || user.userId}`);
+    
+    const response = startPlanningSession(callSid, {
+      user,
+      events,
+      habits,
+      prepared: cached ? { analysis: cached.analysis } : null,
+      direction: 'inbound',
+      announceShortcuts: await shouldAnnounceShortcuts(user)
+    });
+    
+    res.type('text/xml').send(response.toString());
+    
+  } catch (error) {
+    console.error('❌ Inbound call error:', error);
+    
+    const response = new twiml.VoiceResponse();
+    response.say({ 
+      voice: 'Google.en-US-Neural2-I' 
+    }, "Sorry, I'm having trouble pulling up your day right now. Please try calling back in a few minutes.");
+    response.hangup();
+    
+    res.type('text/xml').send(response.toString());
+  }
+}
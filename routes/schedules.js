@@ -0,0 +1,67 @@
+// routes/schedules.js - CRUD endpoints for scheduled calls
+import { callScheduler } from '../utils/callScheduler.js';
+
+export async function handleListSchedules(req, res) {
+  try {
+    const schedules = await callScheduler.listSchedules();
+    res.json({ schedules });
+  } catch (err) {
+    console.error('❌ List schedules error:', err);
+    res.status(500).json({ error: 'Could not load schedules', details: err.message });
+  }
+}
+
+export async function handleGetSchedule(req, res) {
+  try {
+    const schedule = await callScheduler.getSchedule(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ schedule });
+  } catch (err) {
+    console.error('❌ Get schedule error:', err);
+    res.status(500).json({ error: 'Could not load schedule', details: err.message });
+  }
+}
+
+export async function handleCreateSchedule(req, res) {
+  try {
+    const { schedule, errors } = await callScheduler.createSchedule(req.body);
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid schedule', details: errors });
+    }
+    res.status(201).json({ schedule });
+  } catch (err) {
+    console.error('❌ Create schedule error:', err);
+    res.status(500).json({ error: 'Could not create schedule', details: err.message });
+  }
+}
+
+export async function handleUpdateSchedule(req, res) {
+  try {
+    const { schedule, errors } = await callScheduler.updateSchedule(req.params.id, req.body);
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid schedule', details: errors });
+    }
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ schedule });
+  } catch (err) {
+    console.error('❌ Update schedule error:', err);
+    res.status(500).json({ error: 'Could not update schedule', details: err.message });
+  }
+}
+
+export async function handleDeleteSchedule(req, res) {
+  try {
+    const deleted = await callScheduler.deleteSchedule(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.status(204).send();
+  } catch (err) {
+    console.error('❌ Delete schedule error:', err);
+    res.status(500).json({ error: 'Could not delete schedule', details: err.message });
+  }
+}
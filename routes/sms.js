@@ -0,0 +1,96 @@
+// routes/sms.js - Plan the day over text when talking out loud isn't an option
+import pkg from 'twilio';
+const { twiml } = pkg;
+import { getTodayPlan } from '../utils/getTodayPlan.js';
+import { preCallManager } from '../utils/preCallPrep.js';
+import { userDirectory } from '../utils/userProfiles.js';
+import { beginPlanningSession, runPlanningTurn } from '../utils/planningConversation.js';
+import { smsSessions } from '../utils/smsSessions.js';
+import { checkInScheduler } from '../utils/checkInScheduler.js';
+
+// Texts that just mean "let's start" get the opener instead of an LLM turn
+const GREETING_PATTERN = /^(hi|hey|hello|yo|morning|good morning|start|plan|let's plan|ready)[\s!.?]*$/i;
+const END_PATTERN = /^(done|bye|end|stop planning|that's it|thats it)[\s!.?]*$/i;
+
+export async function handleSms(req, res) {
+  const from = req.body.From;
+  const text = (req.body.Body || '').trim();
+  
+  console.log(`💬 Text from ${from}: "${text}"`);
+  
+  const response = new twiml.MessagingResponse();
+  
+  try {
+    const user = await userDirectory.getByPhone(from);
+    
+    if (!user) {
+      console.log(`🚫 Unknown texter ${from}, declining politely`);
+      response.message("Hi! I don't recognize this number yet, so I can't pull up a plan for you. Ask to be added and then text again.");
+      return res.type('text/xml').send(response.toString());
+    }
+    
+    const phoneNumber = user.phoneNumber;
+    
+    let sessionId = await smsSessions.getActive(phoneNumber);
+    let reply;
+    
+    // A reply to a check-in text answers it rather than starting a planning session
+    // Checked before END_PATTERN - "done" is also how people answer a check-in
+    if (!sessionId && text && !GREETING_PATTERN.test(text)) {
+      const checkIn = await checkInScheduler.getAwaitingAnswer(phoneNumber);
+      if (checkIn) {
+        const { reply: acknowledgement } = await checkInScheduler.recordAnswer(checkIn, text);
+        response.message(acknowledgement);
+        return res.type('text/xml').send(response.toString());
+      }
+    }
+    
+    // Let them close the session themselves instead of waiting for the timeout
+    if (END_PATTERN.test(text)) {
+      const ended = await smsSessions.end(phoneNumber);
+      response.message(ended
+        ? "Got it, your plan is saved. Have a great day!"
+        : "No planning session open right now. Text me whenever you want to plan.");
+      return res.type('text/xml').send(response.toString());
+    }
+    
+    if (!sessionId) {
+      sessionId = smsSessions.open(phoneNumber);
+      
+      // Reuse this morning's prepared plan when we have it, otherwise fetch it live
+      const cached = preCallManager.getCachedPlan(user.userId);
+      const { events, habits } = cached || await getTodayPlan(user);
+      
+      const { opener } = beginPlanningSession(sessionId, {
+        user,
+        events,
+        habits,
+        prepared: cached ? { analysis: cached.analysis } : null,
+        direction: 'inbound',
+        channel: 'sms'
+      });
+      
+      console.log(`💬 Started SMS planning session ${sessionId}`);
+      
+      if (!text || GREETING_PATTERN.test(text)) {
+        reply = opener;
+      }
+    }
+    
+    if (!reply) {
+      reply = text
+        ? (await runPlanningTurn(sessionId, text)).reply
+        : "I didn't catch anything there. What's on your mind for today?";
+    }
+    
+    smsSessions.touch(phoneNumber);
+    
+    response.message(reply);
+    res.type('text/xml').send(response.toString());
+    
+  } catch (error) {
+    console.error('❌ SMS conversation error:', error);
+    response.message("Something got mixed up on my end. What were you saying about your priorities?");
+    res.type('text/xml').send(response.toString());
+  }
+}
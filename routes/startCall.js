@@ -1,29 +1,24 @@
 // routes/startCall.js - Enhanced with status callback
-import Twilio from 'twilio';
-import { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER, PUBLIC_URL } from '../config.js';
-
-const twilio = Twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+import { placeCall } from '../utils/outboundCall.js';
+import { CALL_TYPES } from '../utils/eveningReflection.js';
 
 export async function handleStartCall(req, res) {
   try {
-    const { to } = req.body;
-    
-    console.log(`📞 Starting call to ${to}...`);
+    const { to, callType = 'morning' } = req.body;
     
-    // Make the call with status callback to handle hangups
-    const call = await twilio.calls.create({ 
-      to, 
-      from: TWILIO_PHONE_NUMBER, 
-      url: `${PUBLIC_URL}/voice`,
-      statusCallback: `${PUBLIC_URL}/status`, // This will handle hangups!
-      statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
-      statusCallbackMethod: 'POST'
-    });
+    if (!CALL_TYPES.includes(callType)) {
+      return res.status(400).json({ 
+        error: 'Invalid callType', 
+        details: `callType must be one of ${CALL_TYPES.join(', ')}` 
+      });
+    }
     
-    console.log(`🎯 Call initiated with SID: ${call.sid}`);
+    const call = await placeCall(to, { callType });
     
     res.json({ 
       callSid: call.sid,
+      chainId: call.chainId,
+      callType: call.callType,
       message: 'Call initiated with hangup detection'
     });
     
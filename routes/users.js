@@ -0,0 +1,67 @@
+// routes/users.js - CRUD endpoints for user profiles
+import { userDirectory, redactProfile } from '../utils/userProfiles.js';
+
+export async function handleListUsers(req, res) {
+  try {
+    const users = await userDirectory.listUsers();
+    res.json({ users: users.map(redactProfile) });
+  } catch (err) {
+    console.error('❌ List users error:', err);
+    res.status(500).json({ error: 'Could not load users', details: err.message });
+  }
+}
+
+export async function handleGetUser(req, res) {
+  try {
+    const user = await userDirectory.getUser(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ user: redactProfile(user) });
+  } catch (err) {
+    console.error('❌ Get user error:', err);
+    res.status(500).json({ error: 'Could not load user', details: err.message });
+  }
+}
+
+export async function handleCreateUser(req, res) {
+  try {
+    const { user, errors } = await userDirectory.createUser(req.body);
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid user', details: errors });
+    }
+    res.status(201).json({ user: redactProfile(user) });
+  } catch (err) {
+    console.error('❌ Create user error:', err);
+    res.status(500).json({ error: 'Could not create user', details: err.message });
+  }
+}
+
+export async function handleUpdateUser(req, res) {
+  try {
+    const { user, errors } = await userDirectory.updateUser(req.params.id, req.body);
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid user', details: errors });
+    }
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ user: redactProfile(user) });
+  } catch (err) {
+    console.error('❌ Update user error:', err);
+    res.status(500).json({ error: 'Could not update user', details: err.message });
+  }
+}
+
+export async function handleDeleteUser(req, res) {
+  try {
+    const deleted = await userDirectory.deleteUser(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.status(204).send();
+  } catch (err) {
+    console.error('❌ Delete user error:', err);
+    res.status(500).json({ error: 'Could not delete user', details: err.message });
+  }
+}
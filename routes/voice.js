@@ -2,82 +2,84 @@
 import pkg from 'twilio';
 const { twiml } = pkg;
 import { getTodayPlan } from '../utils/getTodayPlan.js';
+import { preCallManager } from '../utils/preCallPrep.js';
+import { pendingReplies } from '../utils/pendingReplies.js';
+import { beginPlanningSession } from '../utils/planningConversation.js';
+import { userDirectory } from '../utils/userProfiles.js';
 import { getSession, endSession } from '../utils/sessionManager.js';
 import { ctx } from '../memory/context.js';
-import { guidedPlanningPrompt } from '../prompts/systemPrompt.js';
+import { callRedialer, UNANSWERED_STATUSES } from '../utils/callRedialer.js';
+import { normalizeCallType, prepareEveningReflection } from '../utils/eveningReflection.js';
+import { withKeypad, shouldAnnounceShortcuts, SHORTCUTS_ANNOUNCEMENT } from '../utils/keypadShortcuts.js';
+
+// AnsweredBy values Twilio sends when machine detection decides nobody is there
+const MACHINE_ANSWERS = ['machine_start', 'machine_end_beep', 'machine_end_silence', 'machine_end_other', 'fax'];
 
 export async function handleVoice(req, res) {
   const callSid = req.body.CallSid;
   const callStatus = req.body.CallStatus;
+  const callType = normalizeCallType(req.query.type);
   
-  console.log(`🌅 Handling morning planning call ${callSid}, status: ${callStatus}`);
+  console.log(`${callType === 'evening' ? '🌙' : '🌅'} Handling ${callType} call ${callSid}, status: ${callStatus}`);
   
   // Handle call completion/hangup
   if (callStatus === 'completed' || callStatus === 'no-answer' || callStatus === 'failed') {
     console.log(`📞 Call ${callStatus}, wrapping up planning session...`);
     await endSession(callSid);
-    ctx.clear(callSid);
+    preCallManager.cleanupSession(callSid);
+    ctx.delete(callSid);
     return res.status(200).send();
   }
   
   try {
-    // Get today's plan
-    const { events, habits } = await getTodayPlan();
-    
-    console.log(`📋 Found ${habits.length} habits and ${events.length} events for planning`);
-    
-    // Create planning session
-    const session = getSession(callSid);
-    session.sessionData.todaysPlan = { events, habits };
-    
-    // Generate a warm, collaborative opener
-    const opener = generateWelcomingOpener(habits, events);
-    
-    // Set conversation context with gentle system prompt
-    ctx.set(callSid, [
-      { role: 'system', content: guidedPlanningPrompt },
-      { role: 'assistant', content: opener }
-    ]);
-    
-    // Track this interaction
-    session.addExchange('SESSION_START', opener, { 
-      taskCount: habits.length, 
-      eventCount: events.length,
-      approach: 'guided_planning'
-    });
+    // Use the plan prepared before dialing so nothing slow happens while they're on the line
+    const prepared = req.query.prep ? preCallManager.claimPreparedData(req.query.prep, callSid) : null;
     
-    session.setState('planning_check_in');
+    if (prepared) {
+      console.log(`⚡ Using data prepared at ${prepared.preparedAt.toISOString()}`);
+    } else {
+      console.log('⚠️ No prepared data for this call, fetching live...');
+    }
     
-    console.log(`✅ Planning session initialized: "${opener}"`);
+    // Outbound call, so the person we're coaching is the one we dialed
+    const user = prepared?.user || await userDirectory.resolveUser(req.body.To);
     
-    const response = new twiml.VoiceResponse();
-    response.say({ voice: 'Google.en-US-Neural2-I' }, opener);
-    response.gather({ 
-      input: 'speech', 
-      action: '/gather', 
-      speechTimeout: 'auto',
-      timeout: 12, // Longer timeout for thoughtful responses
-      finishOnKey: '#',
-      hints: 'good morning, tired, energized, busy day, priorities, important, schedule' 
-    });
-    
-    // Gentle fallback for no response
-    response.say({ 
-      voice: 'Google.en-US-Neural2-I' 
-    }, 'Take your time. What feels most important to focus on this morning?');
+    // Answering machine picked up - leave a short message and never start the conversation
+    if (MACHINE_ANSWERS.includes(req.body.AnsweredBy)) {
+      const response = handleMachineAnswer(req, user, callType);
+      return res.type('text/xml').send(response.toString());
+    }
     
-    response.gather({ 
-      input: 'speech', 
-      action: '/gather', 
-      speechTimeout: 'auto',
-      timeout: 8
+    // Get today's plan - or, for an evening call, how the day actually went
+    const plan = prepared || (callType === 'evening'
+      ? await prepareEveningReflection(user)
+      : await getTodayPlan(user));
+    const { events, habits } = plan;
+    
+    console.log(`📋 Found ${habits.length} habits and ${events.length} events for ${callType} session`);
+    
+    const response = startPlanningSession(callSid, {
+      user,
+      events,
+      habits,
+      prepared,
+      callType,
+      reflection: plan.reflection,
+      announceShortcuts: await shouldAnnounceShortcuts(user)
     });
     
-    // Final gentle fallback
-    response.say({ 
-      voice: 'Google.en-US-Neural2-I' 
-    }, 'No worries if you need to think about it. Call back when you want to plan your day together.');
-    response.hangup();
+    // Someone picked up, so stop any pending redials for this chain (no need to wait on Mongo)
+    const chainId = req.query.chain;
+    if (chainId) {
+      getSession(callSid).sessionData.callChainId = chainId;
+      getSession(callSid).sessionData.callAttempt = Number(req.query.attempt) || 1;
+      callRedialer.markAnswered(chainId, {
+        callSid,
+        attempt: Number(req.query.attempt) || 1,
+        phoneNumber: req.body.To,
+        callType
+      });
+    }
     
     res.type('text/xml').send(response.toString());
     
@@ -85,56 +87,106 @@ export async function handleVoice(req, res) {
     console.error('❌ Planning session error:', error);
     
     // Gentle fallback
-    const opener = "Good morning! Let's take a few minutes to plan your day together.";
+    const opener = callType === 'evening'
+      ? "Good evening! Let's take a few minutes to look back on your day."
+      : "Good morning! Let's take a few minutes to plan your day together.";
     
     const response = new twiml.VoiceResponse();
     response.say({ voice: 'Google.en-US-Neural2-I' }, opener);
-    response.gather({ 
-      input: 'speech', 
+    response.gather(withKeypad({ 
       action: '/gather', 
       speechTimeout: 'auto',
       timeout: 10
-    });
+    }));
     
     res.type('text/xml').send(response.toString());
   }
 }
 
-// Generate a warm, collaborative opener based on their day
-function generateWelcomingOpener(habits, events) {
-  const now = new Date();
-  const hour = now.getHours();
-  
-  let greeting;
-  if (hour < 7) {
-    greeting = "Early start today!";
-  } else if (hour < 10) {
-    greeting = "Good morning!";
-  } else {
-    greeting = "Morning!";
-  }
+// Mark the session as voicemail up front and let the redial policy try again later
+function handleMachineAnswer(req, user, callType) {
+  const callSid = req.body.CallSid;
+  const answeredBy = req.body.AnsweredBy;
   
-  const taskCount = habits.length;
-  const eventCount = events.length;
+  console.log(`🤖 Call ${callSid} answered by ${answeredBy}, skipping conversation`);
   
-  // Create contextual opening based on their day
-  if (taskCount === 0 && eventCount === 0) {
-    return `${greeting} Looks like you have a pretty open day. What would you like to focus on?`;
-  }
+  const session = getSession(callSid);
+  session.setUser(user);
+  session.markAsVoicemail(answeredBy);
   
-  if (taskCount > 0 && eventCount === 0) {
-    return `${greeting} I see you have ${taskCount} things on your list. How are you feeling about tackling those today?`;
+  const chainId = req.query.chain || callSid;
+  session.sessionData.callChainId = chainId;
+  callRedialer.handleUnanswered(chainId, {
+    callSid,
+    attempt: Number(req.query.attempt) || 1,
+    phoneNumber: req.body.To,
+    reason: 'voicemail-answered',
+    callType
+  });
+  
+  const response = new twiml.VoiceResponse();
+  
+  // Only worth speaking if we waited for the beep; otherwise we'd talk over their greeting
+  if (answeredBy !== 'machine_start' && answeredBy !== 'fax') {
+    response.say({ 
+      voice: 'Google.en-US-Neural2-I' 
+    }, "Hi, it's your planning coach calling to go over your day. I'll try you again shortly, or call me back whenever you're ready.");
   }
+  response.hangup();
   
-  if (eventCount > 0 && taskCount === 0) {
-    return `${greeting} You've got ${eventCount} things on your calendar. What else is on your mind for today?`;
+  return response;
+}
+
+// Spoken prompts that differ between the morning plan and the evening reflection
+const CALL_TYPE_PROMPTS = {
+  morning: {
+    hints: 'good morning, tired, energized, busy day, priorities, important, schedule',
+    nudge: 'Take your time. What feels most important to focus on this morning?',
+    goodbye: 'No worries if you need to think about it. Call back when you want to plan your day together.'
+  },
+  evening: {
+    hints: 'good evening, went well, tired, finished, didn\'t get to, tomorrow, carry over',
+    nudge: 'Take your time. What went well for you today?',
+    goodbye: 'No worries. Call back if you want to talk through your day. Have a good night.'
   }
+};
+
+// Shared by outbound (/voice) and inbound (/inbound) calls once we know who's on the line
+// `announceShortcuts` explains the keypad controls first (new users only)
+export function startPlanningSession(callSid, { user, events, habits, prepared = null, direction = 'outbound', callType = 'morning', reflection = null, announceShortcuts = false }) {
+  const { opener } = beginPlanningSession(callSid, { user, events, habits, prepared, direction, channel: 'voice', callType, reflection });
+  const prompts = CALL_TYPE_PROMPTS[callType] || CALL_TYPE_PROMPTS.morning;
   
-  if (eventCount > 3) {
-    return `${greeting} Looks like a busy day with ${eventCount} calendar items. How's your energy feeling?`;
+  const response = new twiml.VoiceResponse();
+  if (announceShortcuts) {
+    response.say({ voice: 'Google.en-US-Neural2-I' }, SHORTCUTS_ANNOUNCEMENT);
   }
+  response.say({ voice: 'Google.en-US-Neural2-I' }, opener);
+  response.gather(withKeypad({ 
+    action: '/gather', 
+    speechTimeout: 'auto',
+    timeout: 12, // Longer timeout for thoughtful responses
+    hints: prompts.hints 
+  }));
+  
+  // Gentle fallback for no response
+  response.say({ 
+    voice: 'Google.en-US-Neural2-I' 
+  }, prompts.nudge);
   
-  return `${greeting} Let's look at your day together. You've got ${taskCount} tasks and ${eventCount} calendar items. What feels most important?`;
+  response.gather(withKeypad({ 
+    action: '/gather', 
+    speechTimeout: 'auto',
+    timeout: 8
+  }));
+  
+  // Final gentle fallback
+  response.say({ 
+    voice: 'Google.en-US-Neural2-I' 
+  }, prompts.goodbye);
+  response.hangup();
+  
+  return response;
 }
 
 // Enhanced status callback with gentle logging
@@ -145,7 +197,20 @@ export async function handleStatus(req, res) {
   
   console.log(`📊 Planning session ${callSid} ${callStatus}, duration: ${callDuration}s`);
   
+  if (callStatus === 'completed' || UNANSWERED_STATUSES.includes(callStatus)) {
+    preCallManager.cleanupSession(callSid);
+    pendingReplies.clear(callSid);
+  }
+  
   if (callStatus === 'completed') {
+    // Inbound calls have no /voice completion hook, so this is where their session gets logged
+    try {
+      await endSession(callSid);
+      ctx.delete(callSid);
+    } catch (error) {
+      console.error('Error ending planning session:', error);
+    }
+    
     try {
       // Generate planning session summary
       await generatePlanningSessionSummary(callSid, callDuration);
@@ -154,6 +219,17 @@ export async function handleStatus(req, res) {
     }
   }
   
+  // Nobody picked up - let the redial policy decide what happens next
+  if (UNANSWERED_STATUSES.includes(callStatus)) {
+    await callRedialer.handleUnanswered(req.query.chain || callSid, {
+      callSid,
+      attempt: Number(req.query.attempt) || 1,
+      phoneNumber: req.body.To,
+      reason: callStatus,
+      callType: normalizeCallType(req.query.type)
+    });
+  }
+  
   res.status(200).send();
 }
 
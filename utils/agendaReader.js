@@ -0,0 +1,146 @@
+// utils/agendaReader.js - "Read me my day": the full agenda, in order, a page at a time on voice
+import { DateTime } from 'luxon';
+import { formatTime } from './formatTime.js';
+import { DEFAULT_TIMEZONE } from '../config.js';
+
+const AGENDA_REQUEST_PATTERN = /\b(read (me )?(my|the) (day|agenda|schedule|calendar)|what('s| is) (on )?(my|the) (agenda|schedule|calendar)( today)?|what do i have (on )?today|what('s| is) my day look(ing)? like|run me through (my|the) day|go over (my|the) (day|schedule|agenda))\b/i;
+const NEXT_PATTERN = /^\s*(next|more|keep going|continue|go on|go ahead|and then|what else)\b/i;
+
+const PERIODS = [
+  { name: 'morning', label: 'This morning', until: 12 },
+  { name: 'afternoon', label: 'This afternoon', until: 17 },
+  { name: 'evening', label: 'This evening', until: 24 }
+];
+
+export function isAgendaRequest(userInput) {
+  return AGENDA_REQUEST_PATTERN.test(userInput);
+}
+
+// Everything on today's plan, split into morning / afternoon / evening / whenever
+// Dailies have no time of their own unless they were committed to a time this session
+export function buildAgenda(session) {
+  const { events = [], habits = [] } = session.sessionData.todaysPlan || {};
+  const timezone = session.sessionData.timezone || DEFAULT_TIMEZONE;
+  const commitments = session.sessionData.commitments || [];
+
+  const allDay = [];
+  const timed = [];
+  const anytime = [];
+
+  events.forEach(event => {
+    // Date-only starts are all-day events
+    if (!event.start || !String(event.start).includes('T')) {
+      allDay.push(event.title);
+    } else {
+      timed.push({ title: event.title, start: DateTime.fromISO(event.start).setZone(timezone) });
+    }
+  });
+
+  habits.forEach(habit => {
+    const planned = commitments.find(c => c.linkedItem?.id === habit.id && c.startTime);
+    if (planned) {
+      timed.push({ title: habit.text, start: DateTime.fromJSDate(new Date(planned.startTime)).setZone(timezone) });
+    } else {
+      anytime.push(habit.text);
+    }
+  });
+
+  timed.sort((a, b) => a.start - b.start);
+
+  const groups = [];
+  if (allDay.length > 0) {
+    groups.push({ label: 'All day', items: allDay });
+  }
+
+  PERIODS.forEach((period, index) => {
+    const from = index === 0 ? 0 : PERIODS[index - 1].until;
+    const items = timed
+      .filter(item => item.start.hour >= from && item.start.hour < period.until)
+      .map(item => `${item.title} at ${formatTime(item.start.toISO(), timezone)}`);
+    if (items.length > 0) {
+      groups.push({ label: period.label, items });
+    }
+  });
+
+  if (anytime.length > 0) {
+    groups.push({ label: 'Anytime today', items: anytime });
+  }
+
+  return groups;
+}
+
+// Split into spoken pages of roughly `pageSize` items, repeating the group label when a group spans pages
+export function paginateAgenda(groups, pageSize) {
+  const pages = [];
+  let current = [];
+  let count = 0;
+
+  groups.forEach(group => {
+    let remaining = group.items;
+    while (remaining.length > 0) {
+      const room = pageSize - count;
+      const chunk = remaining.slice(0, room);
+      current.push(`${group.label}: ${chunk.join(', ')}.`);
+      count += chunk.length;
+      remaining = remaining.slice(chunk.length);
+
+      if (count >= pageSize) {
+        pages.push(current.join(' '));
+        current = [];
+        count = 0;
+      }
+    }
+  });
+
+  if (current.length > 0) {
+    pages.push(current.join(' '));
+  }
+
+  return pages;
+}
+
+// Start reading from the top; texts get the whole thing at once
+export function readAgenda(session) {
+  const groups = buildAgenda(session);
+
+  if (groups.length === 0) {
+    session.sessionData.agenda = null;
+    return "Nothing on your calendar or task list today. What's on your mind?";
+  }
+
+  const pageSize = session.sessionData.channel === 'sms'
+    ? Infinity
+    : Number(process.env.AGENDA_PAGE_SIZE || 4);
+  const pages = paginateAgenda(groups, pageSize);
+
+  session.sessionData.agenda = { pages, index: 0 };
+  return `Here's your day. ${speakPage(session)}`;
+}
+
+// "Next" while we're partway through; null when there's no agenda being read
+export function continueAgenda(userInput, session) {
+  const agenda = session.sessionData.agenda;
+  if (!agenda) return null;
+
+  if (!NEXT_PATTERN.test(userInput)) {
+    // They moved on - drop the rest rather than resuming it later
+    session.sessionData.agenda = null;
+    return null;
+  }
+
+  agenda.index += 1;
+  return speakPage(session);
+}
+
+function speakPage(session) {
+  const agenda = session.sessionData.agenda;
+  const page = agenda.pages[agenda.index];
+  const isLast = agenda.index >= agenda.pages.length - 1;
+
+  if (isLast) {
+    session.sessionData.agenda = null;
+    return `${page} That's everything. Where do you want to start?`;
+  }
+
+  return `${page} Say next for more.`;
+}
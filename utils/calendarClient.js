@@ -1,30 +1,50 @@
 import fetch from 'node-fetch';
+import { DEFAULT_TIMEZONE } from '../config.js';
 
 class CalendarClient {
-  constructor() {
+  constructor({
+    accessToken = process.env.GOOGLE_CALENDAR_ACCESS_TOKEN,
+    calendarId = process.env.GOOGLE_CALENDAR_ID || 'primary',
+    timeZone = DEFAULT_TIMEZONE
+  } = {}) {
     // You'll need to set up Google Calendar API credentials
-    this.accessToken = process.env.GOOGLE_CALENDAR_ACCESS_TOKEN;
-    this.calendarId = process.env.GOOGLE_CALENDAR_ID || 'primary';
+    this.accessToken = accessToken;
+    this.calendarId = calendarId;
+    this.timeZone = timeZone;
+  }
+
+  // Client bound to one user's calendar (see userProfiles.js)
+  forUser(user) {
+    return new CalendarClient({
+      accessToken: user?.calendar?.accessToken ?? null,
+      calendarId: user?.calendar?.calendarId || 'primary',
+      timeZone: user?.timezone || DEFAULT_TIMEZONE
+    });
   }
 
   // Add event to calendar - simplified for coach use
   async addEvent(eventData) {
-    try {
-      // Parse time intelligently
-      const startTime = this.parseTimeFromCoach(eventData.time);
-      const endTime = new Date(startTime.getTime() + 60 * 60 * 1000); // Default 1 hour
+    // Parse time intelligently
+    const startTime = this.parseTimeFromCoach(eventData.time);
+    const endTime = new Date(startTime.getTime() + 60 * 60 * 1000); // Default 1 hour
 
+    return await this.addEventAt({ title: eventData.title, start: startTime, end: endTime });
+  }
+
+  // Add an event with exact start and end Dates (e.g. an approved time block)
+  async addEventAt({ title, start, end, description = 'Added by Morning Coach' }) {
+    try {
       const event = {
-        summary: eventData.title,
+        summary: title,
         start: {
-          dateTime: startTime.toISOString(),
-          timeZone: 'America/Chicago' // Update to your timezone
+          dateTime: start.toISOString(),
+          timeZone: this.timeZone
         },
         end: {
-          dateTime: endTime.toISOString(),
-          timeZone: 'America/Chicago'
+          dateTime: end.toISOString(),
+          timeZone: this.timeZone
         },
-        description: 'Added by Morning Coach'
+        description
       };
 
       const response = await fetch(
@@ -50,6 +70,78 @@ class CalendarClient {
     }
   }
 
+  // Move or resize an existing event; returns the updated event or null
+  async updateEvent(eventId, { start, end }) {
+    try {
+      const response = await fetch(
+        `https://www.googleapis.com/calendar/v3/calendars/${this.calendarId}/events/${encodeURIComponent(eventId)}`,
+        {
+          method: 'PATCH',
+          headers: {
+            'Authorization': `Bearer ${this.accessToken}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            start: { dateTime: start.toISOString(), timeZone: this.timeZone },
+            end: { dateTime: end.toISOString(), timeZone: this.timeZone }
+          })
+        }
+      );
+
+      if (!response.ok) {
+        throw new Error(`Calendar API error: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error updating calendar event:', error);
+      return null;
+    }
+  }
+
+  // Decline a meeting someone else invited us to, or remove our own event
+  // Returns 'declined', 'removed', or null on failure
+  async declineEvent(eventId) {
+    const url = `https://www.googleapis.com/calendar/v3/calendars/${this.calendarId}/events/${encodeURIComponent(eventId)}`;
+    const headers = {
+      'Authorization': `Bearer ${this.accessToken}`,
+      'Content-Type': 'application/json'
+    };
+
+    try {
+      const existing = await fetch(url, { headers });
+      if (!existing.ok) {
+        throw new Error(`Calendar API error: ${existing.status}`);
+      }
+
+      const event = await existing.json();
+      const attendees = event.attendees || [];
+
+      if (attendees.some(a => a.self)) {
+        const response = await fetch(url, {
+          method: 'PATCH',
+          headers,
+          body: JSON.stringify({
+            attendees: attendees.map(a => (a.self ? { ...a, responseStatus: 'declined' } : a))
+          })
+        });
+        if (!response.ok) {
+          throw new Error(`Calendar API error: ${response.status}`);
+        }
+        return 'declined';
+      }
+
+      const response = await fetch(url, { method: 'DELETE', headers });
+      if (!response.ok) {
+        throw new Error(`Calendar API error: ${response.status}`);
+      }
+      return 'removed';
+    } catch (error) {
+      console.error('Error declining calendar event:', error);
+      return null;
+    }
+  }
+
   // Smart time parsing for coach commands
   parseTimeFromCoach(timeString) {
     const now = new Date();
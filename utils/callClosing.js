@@ -0,0 +1,67 @@
+// utils/callClosing.js - Recognize "that's it"/"bye" and end the call with a short recap
+import { ctx } from '../memory/context.js';
+import { endSession } from './sessionManager.js';
+import { preCallManager } from './preCallPrep.js';
+import { skipToPhase } from './planningStateMachine.js';
+import { pendingReplies } from './pendingReplies.js';
+
+// Always a goodbye, but only when it's the whole answer ("That's it, thanks!") or how it ends ("okay, bye") -
+// "I'm done with my workout" and "that's all I have on the calendar" are still planning
+const CLOSING_PATTERN = /^\W*((ok(ay)?|alright|great|cool|perfect|thanks|thank you)\W+)*(that's it|that's all|that is all|i'm done|we're done|done for now|i'm all done)(\W+(thanks|thank you|for now|for today|bye))*\W*$/i;
+const GOODBYE_ENDING_PATTERN = /\b(bye|bye bye|goodbye|good ?night|talk (to you )?later)\W*$/i;
+// "I'm good" also answers "how are you?" - only a goodbye once we're wrapping up
+const SOFT_CLOSING_PATTERN = /\b(i'm good|i'm all set|all set|all good|nothing else|no thanks|nope|that's everything|i think that's it|we're good)\b/i;
+// "I have to go to the dentist" is a plan, "I have to go" on its own is leaving
+const LEAVING_PATTERN = /\b((gotta|got to|have to|need to) (go|run)( now)?|hang up( now)?)\W*$/i;
+const WRAPPING_UP_PHASES = ['commit', 'close'];
+
+export function isClosingIntent(userInput, session) {
+  if (CLOSING_PATTERN.test(userInput) || GOODBYE_ENDING_PATTERN.test(userInput)) return true;
+  if (!SOFT_CLOSING_PATTERN.test(userInput) && !LEAVING_PATTERN.test(userInput)) return false;
+
+  const phase = session.sessionData.planning?.phase;
+  const lastReply = [...(ctx.get(session.callSid) || [])].reverse().find(msg => msg.role === 'assistant')?.content || '';
+  return WRAPPING_UP_PHASES.includes(phase) || /anything else/i.test(lastReply);
+}
+
+// The decided priorities in one breath, for the last thing they hear
+export function buildClosingRecap(session) {
+  const isEvening = session.sessionData.callType === 'evening';
+  const commitments = session.sessionData.commitments || [];
+  const priorities = session.sessionData.planning?.captured?.priorities || [];
+  const signOff = isEvening ? 'Sleep well!' : 'Have a great day!';
+
+  const items = commitments.length > 0
+    ? commitments.slice(0, 4).map(c => (c.timeframe ? `${c.task} ${c.timeframe}` : c.task))
+    : priorities.slice(0, 3);
+
+  if (items.length === 0) {
+    return `Okay, talk soon. ${signOff}`;
+  }
+
+  const list = items.length === 1 ? items[0] : `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+  return isEvening
+    ? `Sounds good. Carrying over to tomorrow: ${list}. ${signOff}`
+    : `Sounds good. Your plan: ${list}. ${signOff}`;
+}
+
+// Record the goodbye and log the session now instead of waiting for Twilio's status callback
+export function closeCall(callSid, session, userInput) {
+  const recap = buildClosingRecap(session);
+
+  pendingReplies.clear(callSid);
+  skipToPhase(session, 'close', 'user_closing');
+  session.addExchange(userInput, recap, { phase: session.sessionData.planning?.phase || session.sessionData.state, intent: 'closing' });
+
+  console.log(`👋 Closing call ${callSid}: "${recap}"`);
+
+  // Not awaited - the hangup TwiML shouldn't wait on LLM analysis, Notion and texts
+  endSession(callSid)
+    .then(() => {
+      preCallManager.cleanupSession(callSid);
+      ctx.delete(callSid);
+    })
+    .catch(error => console.error('❌ Error ending session after goodbye:', error));
+
+  return recap;
+}
@@ -0,0 +1,285 @@
+// utils/callRedialer.js - Retry policy for outbound calls nobody picked up
+import { randomUUID } from 'crypto';
+import { DateTime } from 'luxon';
+import { memory } from '../memory/memory.js';
+import { notionClient } from './notionClient.js';
+import { placeCall } from './outboundCall.js';
+import { userDirectory, normalizePhone } from './userProfiles.js';
+import { DEFAULT_TIMEZONE } from '../config.js';
+
+// Statuses that count as "nobody picked up" and may be redialed
+export const UNANSWERED_STATUSES = ['no-answer', 'busy', 'failed'];
+
+// Defaults come from env; schedules can override any of these per call
+export function getRedialPolicy(overrides = {}, callType = 'morning') {
+  // Evening reflections need a later cutoff than the morning call
+  const cutoffTime = callType === 'evening'
+    ? process.env.REDIAL_EVENING_CUTOFF_TIME || '21:30'
+    : process.env.REDIAL_CUTOFF_TIME || '10:30';
+
+  return {
+    maxAttempts: Number(process.env.REDIAL_MAX_ATTEMPTS || 3), // total calls, including the first
+    backoffMinutes: Number(process.env.REDIAL_BACKOFF_MINUTES || 5),
+    backoffMultiplier: Number(process.env.REDIAL_BACKOFF_MULTIPLIER || 2),
+    cutoffTime, // no redials after this local time (or after that day's end, for calls placed later than it)
+    ...overrides
+  };
+}
+
+class CallRedialer {
+  constructor() {
+    this.pendingRedials = new Map(); // chainId -> timeout handle
+  }
+
+  // Create the chain up front when the caller has its own policy (e.g. a schedule)
+  async openChain(phoneNumber, { policy, timezone, callType = 'morning' } = {}) {
+    const chainId = randomUUID();
+
+    await memory.insertOne({
+      type: 'call_attempts',
+      source: 'morningCoach',
+      chainId,
+      phoneNumber,
+      callType,
+      policy: getRedialPolicy(policy, callType),
+      timezone: timezone || DEFAULT_TIMEZONE,
+      attempts: [],
+      status: 'dialing',
+      startTime: new Date()
+    });
+
+    return chainId;
+  }
+
+  // One document per chain of attempts to reach someone
+  async getChain(chainId) {
+    return await memory.findOne({ type: 'call_attempts', chainId });
+  }
+
+  async getAttempts(chainId) {
+    const chain = chainId ? await this.getChain(chainId) : null;
+    return chain?.attempts || [];
+  }
+
+  async recordOutcome(chainId, { callSid, attempt, phoneNumber, outcome, policy, timezone, callType = 'morning' }) {
+    await memory.updateOne(
+      { type: 'call_attempts', chainId },
+      {
+        $setOnInsert: {
+          source: 'morningCoach',
+          phoneNumber,
+          callType,
+          policy: policy || getRedialPolicy({}, callType),
+          timezone: timezone || DEFAULT_TIMEZONE,
+          startTime: new Date()
+        },
+        $push: {
+          attempts: { callSid, attempt, outcome, timestamp: new Date() }
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  // Called from /voice once someone actually picks up
+  async markAnswered(chainId, { callSid, attempt, phoneNumber, callType }) {
+    this.cancel(chainId);
+
+    try {
+      await this.recordOutcome(chainId, { callSid, attempt, phoneNumber, outcome: 'answered', callType });
+      await memory.updateOne(
+        { type: 'call_attempts', chainId },
+        { $set: { status: 'answered', nextAttemptAt: null } }
+      );
+    } catch (error) {
+      console.error('❌ Failed to record answered attempt:', error);
+    }
+  }
+
+  // They called us back, so stop trying to reach them
+  async cancelForPhone(phoneNumber, reason = 'called_back') {
+    try {
+      // Compared normalized - chains opened before schedules stored E.164 may hold "(555) 123-4567"
+      const phone = normalizePhone(phoneNumber);
+      const pending = (await memory.find({ type: 'call_attempts', status: 'retrying' }).toArray())
+        .filter(chain => normalizePhone(chain.phoneNumber) === phone);
+
+      for (const chain of pending) {
+        this.cancel(chain.chainId);
+        await memory.updateOne(
+          { type: 'call_attempts', chainId: chain.chainId },
+          { $set: { status: reason, nextAttemptAt: null } }
+        );
+      }
+
+      if (pending.length > 0) {
+        console.log(`🛑 Cancelled ${pending.length} pending redials to ${phoneNumber} (${reason})`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to cancel pending redials:', error);
+    }
+  }
+
+  // Called from /status with no-answer, busy or failed
+  async handleUnanswered(chainId, { callSid, attempt, phoneNumber, reason, policy, timezone, callType = 'morning' }) {
+    try {
+      const existing = await this.getChain(chainId);
+      const chainType = existing?.callType || callType;
+      const chainPolicy = existing?.policy || policy || getRedialPolicy({}, chainType);
+      const zone = existing?.timezone || timezone || DEFAULT_TIMEZONE;
+
+      await this.recordOutcome(chainId, {
+        callSid, attempt, phoneNumber, outcome: reason, policy: chainPolicy, timezone: zone, callType: chainType
+      });
+
+      const nextAttemptAt = this.getNextAttemptTime(attempt, chainPolicy, zone, existing?.startTime);
+
+      if (!nextAttemptAt) {
+        await this.exhaust(chainId, phoneNumber, reason, attempt);
+        return;
+      }
+
+      await memory.updateOne(
+        { type: 'call_attempts', chainId },
+        { $set: { status: 'retrying', nextAttempt: attempt + 1, nextAttemptAt } }
+      );
+
+      console.log(`🔁 Call ${callSid} ${reason}, redialing ${phoneNumber} at ${nextAttemptAt.toISOString()} (attempt ${attempt + 1}/${chainPolicy.maxAttempts})`);
+      this.arm(chainId, nextAttemptAt);
+
+    } catch (error) {
+      console.error('❌ Redial handling failed:', error);
+    }
+  }
+
+  // They pressed snooze mid-call - ring back in a few minutes on the same chain
+  // Returns when we'll call, or null if that would be past the cutoff
+  async snooze(chainId, { callSid, attempt = 1, phoneNumber, minutes, timezone, callType = 'morning' }) {
+    const existing = await this.getChain(chainId);
+    const chainType = existing?.callType || callType;
+    const chainPolicy = existing?.policy || getRedialPolicy({}, chainType);
+    const zone = existing?.timezone || timezone || DEFAULT_TIMEZONE;
+
+    const next = DateTime.now().setZone(zone).plus({ minutes });
+    if (this.isPastCutoff(next, chainPolicy, existing?.startTime)) return null;
+
+    await this.recordOutcome(chainId, {
+      callSid, attempt, phoneNumber, outcome: 'snoozed', policy: chainPolicy, timezone: zone, callType: chainType
+    });
+
+    const nextAttemptAt = next.toJSDate();
+    await memory.updateOne(
+      { type: 'call_attempts', chainId },
+      { $set: { status: 'retrying', nextAttempt: attempt + 1, nextAttemptAt } }
+    );
+
+    console.log(`😴 Call ${callSid} snoozed, calling ${phoneNumber} back at ${nextAttemptAt.toISOString()}`);
+    this.arm(chainId, nextAttemptAt);
+    return nextAttemptAt;
+  }
+
+  // When the next attempt should happen, or null if the policy says stop
+  getNextAttemptTime(attempt, policy, zone, startedAt = null) {
+    if (attempt >= policy.maxAttempts) return null;
+
+    const delayMinutes = policy.backoffMinutes * Math.pow(policy.backoffMultiplier, attempt - 1);
+    const next = DateTime.now().setZone(zone).plus({ minutes: delayMinutes });
+
+    return this.isPastCutoff(next, policy, startedAt) ? null : next.toJSDate();
+  }
+
+  // The cutoff is on the day the chain started; a chain that started after it (an 11:00 call
+  // with the 10:30 default) may redial until the end of that day instead of never
+  isPastCutoff(dateTime, policy, startedAt = null) {
+    if (!policy.cutoffTime) return false;
+
+    const start = DateTime.fromJSDate(startedAt ? new Date(startedAt) : new Date()).setZone(dateTime.zone);
+    const [hour, minute] = policy.cutoffTime.split(':').map(Number);
+    const cutoff = start.set({ hour, minute, second: 0, millisecond: 0 });
+    return dateTime > (start >= cutoff ? start.endOf('day') : cutoff);
+  }
+
+  async exhaust(chainId, phoneNumber, reason, attempt) {
+    console.log(`📞💥 All ${attempt} attempts to reach ${phoneNumber} failed (${reason})`);
+
+    await memory.updateOne(
+      { type: 'call_attempts', chainId },
+      { $set: { status: 'exhausted', nextAttemptAt: null, endTime: new Date() } }
+    );
+
+    const user = await userDirectory.resolveUser(phoneNumber);
+    const notion = notionClient.forUser(user);
+    await notion.logMissedCall(notion.logsDatabaseId, phoneNumber, reason);
+  }
+
+  arm(chainId, at) {
+    this.cancel(chainId);
+    const delay = Math.max(0, at.getTime() - Date.now());
+    this.pendingRedials.set(chainId, setTimeout(() => this.redial(chainId), delay));
+  }
+
+  cancel(chainId) {
+    const handle = this.pendingRedials.get(chainId);
+    if (handle) {
+      clearTimeout(handle);
+      this.pendingRedials.delete(chainId);
+    }
+  }
+
+  async redial(chainId) {
+    this.pendingRedials.delete(chainId);
+
+    // Claim the retry so a restarted process can't place the same attempt twice
+    const chain = await memory.findOneAndUpdate(
+      { type: 'call_attempts', chainId, status: 'retrying' },
+      { $set: { status: 'dialing' } },
+      { returnDocument: 'after' }
+    );
+
+    if (!chain) {
+      console.log(`⚠️ Redial for chain ${chainId} no longer pending, skipping...`);
+      return;
+    }
+
+    // The process may have been down past the cutoff while this redial was waiting
+    if (this.isPastCutoff(DateTime.now().setZone(chain.timezone), chain.policy, chain.startTime)) {
+      const lastAttempt = chain.attempts[chain.attempts.length - 1];
+      await this.exhaust(chainId, chain.phoneNumber, lastAttempt?.outcome || 'timeout', chain.attempts.length);
+      return;
+    }
+
+    try {
+      await placeCall(chain.phoneNumber, {
+        source: 'redial',
+        chainId,
+        attempt: chain.nextAttempt,
+        callType: chain.callType || 'morning'
+      });
+    } catch (error) {
+      console.error(`❌ Redial for chain ${chainId} failed to dial:`, error);
+      // Treat a dial error like a failed attempt so the policy still applies
+      await this.handleUnanswered(chainId, {
+        callSid: null,
+        attempt: chain.nextAttempt,
+        phoneNumber: chain.phoneNumber,
+        reason: 'failed'
+      });
+    }
+  }
+
+  // Re-arm redials that were waiting when the process stopped
+  async resumePending() {
+    try {
+      const pending = await memory.find({ type: 'call_attempts', status: 'retrying' }).toArray();
+      pending.forEach(chain => this.arm(chain.chainId, new Date(chain.nextAttemptAt)));
+
+      if (pending.length > 0) {
+        console.log(`🔁 Resumed ${pending.length} pending redials`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to resume pending redials:', error);
+    }
+  }
+}
+
+export const callRedialer = new CallRedialer();
@@ -0,0 +1,331 @@
+// utils/callScheduler.js - Built-in call scheduler backed by the call_schedules collection
+import { DateTime } from 'luxon';
+import { ObjectId } from 'mongodb';
+import { schedules } from '../mongoClient.js';
+import { placeCall } from './outboundCall.js';
+import { callRedialer, getRedialPolicy } from './callRedialer.js';
+import { userDirectory, normalizePhone } from './userProfiles.js';
+import { CALL_TYPES } from './eveningReflection.js';
+import { DEFAULT_TIMEZONE } from '../config.js';
+
+const CHECK_INTERVAL_MS = 30 * 1000;
+// A call that is this many minutes late (e.g. after a restart) still goes out
+const FIRE_WINDOW_MINUTES = 10;
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6]; // 0 = Sunday, same as Date#getDay
+
+class CallScheduler {
+  constructor() {
+    this.activeSchedules = new Map(); // scheduleId -> schedule document
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  // Load schedules from Mongo and start checking for due calls
+  async start() {
+    await this.reload();
+
+    if (!this.timer) {
+      this.timer = setInterval(() => this.tick(), CHECK_INTERVAL_MS);
+    }
+
+    console.log(`⏰ Call scheduler running with ${this.activeSchedules.size} active schedules`);
+    await this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async reload() {
+    try {
+      const docs = await schedules.find({ enabled: true }).toArray();
+      this.activeSchedules = new Map(docs.map(doc => [doc._id.toString(), doc]));
+    } catch (error) {
+      console.error('❌ Failed to load call schedules:', error);
+    }
+  }
+
+  async tick(now = new Date()) {
+    // Skip if the previous tick is still dialing
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      for (const schedule of this.activeSchedules.values()) {
+        const dateKey = this.getDueDate(schedule, now);
+        if (dateKey) {
+          await this.fire(schedule, dateKey);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Scheduler tick failed:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Returns the local date (YYYY-MM-DD) of the slot that is due right now, or null
+  getDueDate(schedule, now = new Date()) {
+    const zone = schedule.timezone || DEFAULT_TIMEZONE;
+    const local = DateTime.fromJSDate(now, { zone });
+    const [hour, minute] = schedule.timeOfDay.split(':').map(Number);
+    const scheduled = local.set({ hour, minute, second: 0, millisecond: 0 });
+    const dateKey = scheduled.toISODate();
+
+    const days = schedule.daysOfWeek?.length ? schedule.daysOfWeek : ALL_DAYS;
+    if (!days.includes(scheduled.weekday % 7)) return null;
+    if (schedule.skipDates?.includes(dateKey)) return null;
+    if (schedule.lastRunDate === dateKey) return null;
+
+    const minutesLate = local.diff(scheduled, 'minutes').minutes;
+    if (minutesLate < 0 || minutesLate > FIRE_WINDOW_MINUTES) return null;
+
+    return dateKey;
+  }
+
+  async fire(schedule, dateKey) {
+    // Claim the slot in Mongo first so a restart (or a second instance) can't dial twice
+    const claimed = await schedules.findOneAndUpdate(
+      { _id: schedule._id, enabled: true, lastRunDate: { $ne: dateKey } },
+      { $set: { lastRunDate: dateKey, lastRunAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    if (!claimed) {
+      console.log(`⚠️ Schedule ${schedule._id} already fired for ${dateKey}, skipping...`);
+      await this.refresh(schedule._id);
+      return;
+    }
+
+    this.activeSchedules.set(claimed._id.toString(), claimed);
+    const callType = claimed.callType || 'morning';
+    console.log(`⏰ Schedule ${claimed._id} due for ${dateKey}, placing ${callType} call to ${claimed.phoneNumber}`);
+
+    try {
+      // Unanswered calls get redialed using the schedule's own policy, if it has one
+      const chainId = await callRedialer.openChain(claimed.phoneNumber, {
+        policy: claimed.redialPolicy,
+        timezone: claimed.timezone,
+        callType
+      });
+      const call = await placeCall(claimed.phoneNumber, {
+        source: 'scheduler',
+        chainId,
+        callType
+      });
+      await schedules.updateOne(
+        { _id: claimed._id },
+        { $set: { lastCallSid: call.sid, lastError: null } }
+      );
+    } catch (error) {
+      console.error(`❌ Scheduled call for ${claimed._id} failed:`, error);
+      await schedules.updateOne(
+        { _id: claimed._id },
+        { $set: { lastError: error.message } }
+      );
+    }
+  }
+
+  // Re-read one schedule into the in-memory cache
+  async refresh(id) {
+    const doc = await schedules.findOne({ _id: id });
+    if (doc && doc.enabled) {
+      this.activeSchedules.set(doc._id.toString(), doc);
+    } else {
+      this.activeSchedules.delete(id.toString());
+    }
+    return doc;
+  }
+
+  // CRUD used by routes/schedules.js
+  async listSchedules() {
+    return await schedules.find({}).sort({ createdAt: 1 }).toArray();
+  }
+
+  async getSchedule(id) {
+    const objectId = toObjectId(id);
+    return objectId ? await schedules.findOne({ _id: objectId }) : null;
+  }
+
+  async createSchedule(input) {
+    const { value, errors } = validateSchedule(input);
+    if (errors.length > 0) return { errors };
+
+    // Default to the person's own timezone when the schedule doesn't name one
+    const user = await userDirectory.getByPhone(value.phoneNumber);
+
+    const now = new Date();
+    const doc = {
+      enabled: true,
+      callType: 'morning',
+      daysOfWeek: ALL_DAYS,
+      timezone: user?.timezone || DEFAULT_TIMEZONE,
+      skipDates: [],
+      ...value,
+      lastRunDate: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await schedules.insertOne(doc);
+    const schedule = await this.refresh(result.insertedId);
+    console.log(`✅ Created call schedule ${result.insertedId} for ${doc.phoneNumber} at ${doc.timeOfDay}`);
+    return { schedule };
+  }
+
+  async updateSchedule(id, input) {
+    const objectId = toObjectId(id);
+    if (!objectId) return { schedule: null };
+
+    const { value, errors } = validateSchedule(input, { partial: true });
+    if (errors.length > 0) return { errors };
+
+    const result = await schedules.updateOne(
+      { _id: objectId },
+      { $set: { ...value, updatedAt: new Date() } }
+    );
+    if (result.matchedCount === 0) return { schedule: null };
+
+    return { schedule: await this.refresh(objectId) };
+  }
+
+  async deleteSchedule(id) {
+    const objectId = toObjectId(id);
+    if (!objectId) return false;
+
+    const result = await schedules.deleteOne({ _id: objectId });
+    this.activeSchedules.delete(objectId.toString());
+    return result.deletedCount > 0;
+  }
+}
+
+function toObjectId(id) {
+  return ObjectId.isValid(id) ? new ObjectId(id) : null;
+}
+
+// Validate and pick the fields a client is allowed to set
+export function validateSchedule(input = {}, { partial = false } = {}) {
+  const value = {};
+  const errors = [];
+
+  if (input.phoneNumber !== undefined || !partial) {
+    if (typeof input.phoneNumber !== 'string' || !normalizePhone(input.phoneNumber)) {
+      errors.push('phoneNumber is required');
+    } else {
+      // Stored as E.164 so redial chains match the number Twilio reports when they call back
+      value.phoneNumber = normalizePhone(input.phoneNumber);
+    }
+  }
+
+  if (input.timeOfDay !== undefined || !partial) {
+    const match = typeof input.timeOfDay === 'string' && input.timeOfDay.match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+    if (!match) {
+      errors.push('timeOfDay must be HH:mm in 24-hour time');
+    } else {
+      value.timeOfDay = `${match[1].padStart(2, '0')}:${match[2]}`;
+    }
+  }
+
+  if (input.daysOfWeek !== undefined) {
+    const valid = Array.isArray(input.daysOfWeek) &&
+      input.daysOfWeek.length > 0 &&
+      input.daysOfWeek.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+    if (!valid) {
+      errors.push('daysOfWeek must be a non-empty list of 0 (Sunday) through 6 (Saturday)');
+    } else {
+      value.daysOfWeek = [...new Set(input.daysOfWeek)].sort((a, b) => a - b);
+    }
+  }
+
+  if (input.timezone !== undefined) {
+    if (typeof input.timezone !== 'string' || !DateTime.local().setZone(input.timezone).isValid) {
+      errors.push(`timezone "${input.timezone}" is not a valid IANA timezone`);
+    } else {
+      value.timezone = input.timezone;
+    }
+  }
+
+  if (input.skipDates !== undefined) {
+    const valid = Array.isArray(input.skipDates) &&
+      input.skipDates.every(date => typeof date === 'string' && DateTime.fromISO(date).isValid);
+    if (!valid) {
+      errors.push('skipDates must be a list of YYYY-MM-DD dates');
+    } else {
+      value.skipDates = input.skipDates.map(date => DateTime.fromISO(date).toISODate());
+    }
+  }
+
+  if (input.callType !== undefined) {
+    if (!CALL_TYPES.includes(input.callType)) {
+      errors.push(`callType must be one of ${CALL_TYPES.join(', ')}`);
+    } else {
+      value.callType = input.callType;
+    }
+  }
+
+  if (input.redialPolicy !== undefined) {
+    // Gaps are filled with the defaults for this call type (e.g. a later evening cutoff)
+    const { value: policy, errors: policyErrors } = validateRedialPolicy(input.redialPolicy, value.callType);
+    errors.push(...policyErrors);
+    value.redialPolicy = policy;
+  }
+
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') {
+      errors.push('enabled must be true or false');
+    } else {
+      value.enabled = input.enabled;
+    }
+  }
+
+  return { value, errors };
+}
+
+function validateRedialPolicy(input, callType = 'morning') {
+  const value = {};
+  const errors = [];
+
+  if (!input || typeof input !== 'object') {
+    return { value, errors: ['redialPolicy must be an object'] };
+  }
+
+  if (input.maxAttempts !== undefined) {
+    if (!Number.isInteger(input.maxAttempts) || input.maxAttempts < 1) {
+      errors.push('redialPolicy.maxAttempts must be a whole number of at least 1');
+    } else {
+      value.maxAttempts = input.maxAttempts;
+    }
+  }
+
+  if (input.backoffMinutes !== undefined) {
+    if (typeof input.backoffMinutes !== 'number' || input.backoffMinutes <= 0) {
+      errors.push('redialPolicy.backoffMinutes must be a positive number');
+    } else {
+      value.backoffMinutes = input.backoffMinutes;
+    }
+  }
+
+  if (input.backoffMultiplier !== undefined) {
+    if (typeof input.backoffMultiplier !== 'number' || input.backoffMultiplier < 1) {
+      errors.push('redialPolicy.backoffMultiplier must be a number of at least 1');
+    } else {
+      value.backoffMultiplier = input.backoffMultiplier;
+    }
+  }
+
+  if (input.cutoffTime !== undefined) {
+    if (typeof input.cutoffTime !== 'string' || !/^([01]?\d|2[0-3]):([0-5]\d)$/.test(input.cutoffTime)) {
+      errors.push('redialPolicy.cutoffTime must be HH:mm in 24-hour time');
+    } else {
+      value.cutoffTime = input.cutoffTime;
+    }
+  }
+
+  // Fill the gaps from env so the stored policy is complete
+  return { value: getRedialPolicy(value, callType), errors };
+}
+
+export const callScheduler = new CallScheduler();
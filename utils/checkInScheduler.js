@@ -0,0 +1,252 @@
+// utils/checkInScheduler.js - Short follow-ups around the times people committed to in their morning session
+import { ObjectId } from 'mongodb';
+import { checkIns, memory } from '../mongoClient.js';
+import { twilioClient } from './twilioClient.js';
+import { parseTimeframe } from './timeframeParser.js';
+import { PLACEHOLDER_PATTERN } from './smsRecap.js';
+import { TWILIO_PHONE_NUMBER, PUBLIC_URL, DEFAULT_TIMEZONE } from '../config.js';
+
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+// Negative first - "didn't" contains "did"
+const NO_PATTERN = /\b(no|nope|nah|not yet|not really|didn'?t|did not|haven'?t|have not|couldn'?t|skipped|ran out)\b/i;
+const YES_PATTERN = /\b(yes|yeah|yep|yup|sure did|done|did|finished|completed|got it|nailed it)\b/i;
+
+// true = done, false = not done, null = couldn't tell
+export function interpretAnswer(answer) {
+  if (!answer) return null;
+  if (NO_PATTERN.test(answer)) return false;
+  if (YES_PATTERN.test(answer)) return true;
+  return null;
+}
+
+// Captured commitments already carry resolved times; analysed ones only have the words
+function commitmentWindow(commitment, options) {
+  if (commitment.endTime) {
+    return {
+      start: commitment.startTime ? new Date(commitment.startTime) : null,
+      end: new Date(commitment.endTime)
+    };
+  }
+  return parseTimeframe(commitment.timeframe, options);
+}
+
+class CheckInScheduler {
+  constructor() {
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  get delayMinutes() {
+    return Number(process.env.CHECK_IN_DELAY_MINUTES || 15);
+  }
+
+  get maxPerSession() {
+    return Number(process.env.CHECK_IN_MAX_PER_SESSION || 3);
+  }
+
+  // How long after a check-in text a reply still counts as the answer
+  get answerWindowHours() {
+    return Number(process.env.CHECK_IN_ANSWER_WINDOW_HOURS || 3);
+  }
+
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.tick(), CHECK_INTERVAL_MS);
+    }
+    console.log('⏰ Check-in scheduler running');
+    return this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Called from endSession with the finished session record
+  async scheduleForSession(sessionRecord, user) {
+    try {
+      if (!user?.checkIns?.enabled) {
+        console.log(`📵 Check-ins not enabled for ${sessionRecord.userId}`);
+        return [];
+      }
+
+      // Evening reflections already cover how the day went
+      if (sessionRecord.isVoicemail || sessionRecord.callType === 'evening') {
+        return [];
+      }
+
+      const phoneNumber = user.phoneNumber || sessionRecord.phoneNumber;
+      if (!phoneNumber) {
+        console.log('⚠️ No phone number for check-ins, skipping');
+        return [];
+      }
+
+      const now = new Date();
+      const timezone = user.timezone || DEFAULT_TIMEZONE;
+      const docs = (sessionRecord.sessionAnalysis?.commitments || [])
+        .filter(c => c.task && !PLACEHOLDER_PATTERN.test(c.task))
+        .map(c => ({ commitment: c, window: commitmentWindow(c, { timezone, now }) }))
+        .filter(({ window }) => window && window.end > now)
+        .slice(0, this.maxPerSession)
+        .map(({ commitment, window }) => ({
+          sessionId: sessionRecord.callSid,
+          userId: sessionRecord.userId,
+          phoneNumber,
+          task: commitment.task,
+          timeframe: commitment.timeframe,
+          windowStart: window.start,
+          windowEnd: window.end,
+          dueAt: new Date(window.end.getTime() + this.delayMinutes * 60 * 1000),
+          channel: user.checkIns.channel || 'sms',
+          status: 'pending',
+          createdAt: now
+        }));
+
+      for (const doc of docs) {
+        await checkIns.insertOne(doc);
+        console.log(`📌 Check-in for "${doc.task}" scheduled at ${doc.dueAt.toISOString()} by ${doc.channel}`);
+      }
+
+      return docs;
+
+    } catch (error) {
+      console.error('❌ Failed to schedule check-ins:', error);
+      return [];
+    }
+  }
+
+  async tick(now = new Date()) {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      const due = await checkIns.find({ status: 'pending', dueAt: { $lte: now } }).toArray();
+      for (const checkIn of due) {
+        await this.send(checkIn);
+      }
+    } catch (error) {
+      console.error('❌ Check-in tick failed:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async send(checkIn) {
+    // Claim it first so a restart (or a second instance) can't send it twice
+    const claimed = await checkIns.findOneAndUpdate(
+      { _id: checkIn._id, status: 'pending' },
+      { $set: { status: 'sending' } },
+      { returnDocument: 'after' }
+    );
+
+    if (!claimed) return;
+
+    try {
+      const id = claimed._id.toString();
+      let sid;
+
+      if (claimed.channel === 'call') {
+        const call = await twilioClient.calls.create({
+          to: claimed.phoneNumber,
+          from: TWILIO_PHONE_NUMBER,
+          url: `${PUBLIC_URL}/check-in?id=${id}`,
+          statusCallback: `${PUBLIC_URL}/check-in/status?id=${id}`,
+          statusCallbackMethod: 'POST',
+          machineDetection: 'Enable'
+        });
+        sid = call.sid;
+      } else {
+        const message = await twilioClient.messages.create({
+          to: claimed.phoneNumber,
+          from: TWILIO_PHONE_NUMBER,
+          body: `Quick check-in: did you get to "${claimed.task}"? Reply yes or no.`
+        });
+        sid = message.sid;
+      }
+
+      await checkIns.updateOne(
+        { _id: claimed._id },
+        { $set: { status: 'sent', sentAt: new Date(), sid } }
+      );
+      console.log(`📨 Sent ${claimed.channel} check-in for "${claimed.task}" to ${claimed.phoneNumber}`);
+
+    } catch (error) {
+      console.error(`❌ Check-in ${claimed._id} failed to send:`, error);
+      await checkIns.updateOne(
+        { _id: claimed._id },
+        { $set: { status: 'failed', lastError: error.message } }
+      );
+    }
+  }
+
+  async getCheckIn(id) {
+    const objectId = ObjectId.isValid(id) ? new ObjectId(id) : null;
+    return objectId ? await checkIns.findOne({ _id: objectId }) : null;
+  }
+
+  // The most recent check-in text still waiting on a reply from this number
+  async getAwaitingAnswer(phoneNumber, now = new Date()) {
+    const since = new Date(now.getTime() - this.answerWindowHours * 60 * 60 * 1000);
+    const waiting = await checkIns.find({
+      phoneNumber,
+      channel: 'sms',
+      status: 'sent',
+      sentAt: { $gte: since }
+    }).sort({ sentAt: -1 }).limit(1).toArray();
+
+    return waiting[0] || null;
+  }
+
+  // Store the answer on the check-in and on the session the commitment came from
+  async recordAnswer(checkIn, answer) {
+    const completed = interpretAnswer(answer);
+    const answeredAt = new Date();
+
+    await checkIns.updateOne(
+      { _id: checkIn._id },
+      { $set: { status: 'answered', answer, completed, answeredAt } }
+    );
+
+    try {
+      await memory.updateOne(
+        { type: 'enhanced_coaching_session', callSid: checkIn.sessionId },
+        {
+          $push: {
+            checkIns: {
+              checkInId: checkIn._id,
+              task: checkIn.task,
+              timeframe: checkIn.timeframe,
+              channel: checkIn.channel,
+              answer,
+              completed,
+              answeredAt
+            }
+          }
+        }
+      );
+    } catch (error) {
+      console.error('❌ Failed to record check-in on session:', error);
+    }
+
+    console.log(`✅ Check-in for "${checkIn.task}" answered: ${completed === null ? 'unclear' : completed ? 'done' : 'not done'}`);
+    return { completed, reply: this.acknowledge(checkIn, completed) };
+  }
+
+  async markMissed(checkIn, reason) {
+    await checkIns.updateOne(
+      { _id: checkIn._id, status: { $in: ['sending', 'sent'] } },
+      { $set: { status: 'missed', missedReason: reason } }
+    );
+  }
+
+  acknowledge(checkIn, completed) {
+    if (completed === true) return `Nice work getting "${checkIn.task}" done!`;
+    if (completed === false) return "No worries, thanks for letting me know. It'll still be there tomorrow.";
+    return 'Thanks, noted!';
+  }
+}
+
+export const checkInScheduler = new CheckInScheduler();
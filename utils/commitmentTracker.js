@@ -0,0 +1,101 @@
+// utils/commitmentTracker.js - Pull commitments out of each turn as they're made
+import { parseTimeframe, parseDuration } from './timeframeParser.js';
+import { DEFAULT_TIMEZONE } from '../config.js';
+
+// "I need to" and friends name a task the same way intentClassifier's TASK_PATTERN reads them
+const COMMIT_PATTERN = /\b(i'll|i will|i'm going to|going to|gonna|plan to|i (?:really )?(?:need|have|want|got) to|i gotta|i can|let's|i'm doing|first|then|after that)\b/i;
+const STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'from', 'that', 'this', 'have', 'today', 'daily', 'work', 'time', 'day', 'my']);
+
+// `classification` is the classifyUserInput result for this turn
+// Returns the commitments added or updated this turn
+export function captureCommitments(userInput, session, classification) {
+  const tasks = classification?.mentioned_tasks || [];
+  const expressions = classification?.time_expressions || [];
+  const timing = resolveTiming(expressions, session);
+  const hasTiming = Boolean(timing.timeframe || timing.duration);
+
+  // Naming a task isn't committing to it - it needs a time or some "I'll do it"
+  const committed = tasks.length > 0 &&
+    (hasTiming || COMMIT_PATTERN.test(userInput) || classification.intent === 'confirming');
+
+  if (committed) {
+    return tasks.map(task => {
+      const linkedItem = matchPlanItem(task, session.sessionData.todaysPlan);
+      const calendarStart = linkedItem?.source === 'calendar' && !timing.startTime ? linkedItem.start : null;
+
+      return session.addCommitment({
+        task,
+        linkedItem,
+        ...timing,
+        startTime: timing.startTime || (calendarStart ? new Date(calendarStart) : null)
+      });
+    });
+  }
+
+  // "After lunch, about an hour" - answers the question about the last thing they committed to
+  if (tasks.length === 0 && hasTiming) {
+    const open = [...session.sessionData.commitments].reverse().find(c => !c.timeframe && !c.duration);
+    if (open) {
+      return [session.addCommitment({ task: open.task, ...timing })];
+    }
+  }
+
+  return [];
+}
+
+// Commitments still missing any sense of when
+export function getUntimedCommitments(session) {
+  return (session.sessionData.commitments || []).filter(c => !c.timeframe && !c.startTime && !c.duration);
+}
+
+function resolveTiming(expressions, session) {
+  // "for 45 minutes" is how long; everything else is when
+  const durationText = expressions.find(e => parseDuration(e) !== null && !/^in\b/i.test(e.trim()));
+  const timeframe = expressions.find(e => e !== durationText) || null;
+  const duration = durationText ? parseDuration(durationText) : null;
+
+  // Evening commitments are for tomorrow - keep the words, don't pin them to today
+  if (!timeframe || session.sessionData.callType === 'evening') {
+    return { timeframe, duration, startTime: null, endTime: null };
+  }
+
+  const timezone = session.sessionData.timezone || DEFAULT_TIMEZONE;
+  const window = parseTimeframe(timeframe, { timezone });
+  const startTime = window?.start || null;
+  let endTime = window?.end || null;
+
+  if (startTime && duration) {
+    endTime = new Date(startTime.getTime() + duration * 60 * 1000);
+  }
+
+  return {
+    timeframe,
+    startTime,
+    endTime,
+    duration: duration ?? (startTime && endTime ? Math.round((endTime - startTime) / 60000) : null)
+  };
+}
+
+// The Habitica daily or calendar event a task refers to, if any
+function matchPlanItem(task, plan) {
+  if (!plan) return null;
+
+  const said = new Set(significantWords(task));
+  const overlap = text => significantWords(text).filter(word => said.has(word)).length;
+
+  const candidates = [
+    ...(plan.habits || []).map(h => ({ source: 'habitica', id: h.id, title: h.text, score: overlap(h.text || '') })),
+    ...(plan.events || []).map(e => ({ source: 'calendar', id: e.id || e.title, title: e.title, start: e.start, score: overlap(e.title || '') }))
+  ].filter(c => c.score > 0);
+
+  if (candidates.length === 0) return null;
+
+  const { score, ...best } = candidates.sort((a, b) => b.score - a.score)[0];
+  return best;
+}
+
+function significantWords(text) {
+  return text.toLowerCase().split(/\W+/)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+    .map(word => (word.endsWith('s') ? word.slice(0, -1) : word));
+}
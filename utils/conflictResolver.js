@@ -0,0 +1,264 @@
+// utils/conflictResolver.js - Walk through overlapping calendar events and fix them on the call
+import { calendarClient } from './calendarClient.js';
+import { parseTimeframe } from './timeframeParser.js';
+import { formatTime } from './formatTime.js';
+import { DEFAULT_TIMEZONE } from '../config.js';
+
+const DEFAULT_EVENT_MINUTES = 30;
+
+const CONFLICT_REQUEST_PATTERN = /\b(conflicts?|overlap(s|ping)?|double[- ]booked|clash(es)?)\b/i;
+// Changes are tried before keep, so "decline both" is a decline and "move X, keep Y" a move
+const ACTION_PATTERNS = [
+  { action: 'decline', pattern: /\b(decline|cancel|drop|remove|delete|skip|not going|bail)\b/i },
+  { action: 'shorten', pattern: /\b(shorten|cut (it )?short|trim|end (it )?early|make (it )?shorter)\b/i },
+  { action: 'move', pattern: /\b(move|reschedule|push|shift|bump|later|earlier)\b/i },
+  { action: 'keep', pattern: /\b(keep|leave (it|them)|both|it's fine|that's fine|ignore)\b/i }
+];
+const CLAUSE_SPLIT_PATTERN = /\s*(?:[,;]|\.\s|\band\b|\bbut\b|\bthen\b)\s*/i;
+
+// Pairs of timed events that overlap; events without an end are treated as 30 minutes
+export function findConflicts(events = []) {
+  const timed = events
+    .filter(e => e.start && String(e.start).includes('T'))
+    .map(e => ({
+      event: e,
+      start: new Date(e.start),
+      end: e.end && String(e.end).includes('T')
+        ? new Date(e.end)
+        : new Date(new Date(e.start).getTime() + DEFAULT_EVENT_MINUTES * 60 * 1000)
+    }))
+    .sort((a, b) => a.start - b.start);
+
+  const conflicts = [];
+  for (let i = 0; i < timed.length; i++) {
+    for (let j = i + 1; j < timed.length && timed[j].start < timed[i].end; j++) {
+      conflicts.push({ first: timed[i].event, second: timed[j].event });
+    }
+  }
+
+  return conflicts;
+}
+
+export function isConflictRequest(userInput) {
+  return CONFLICT_REQUEST_PATTERN.test(userInput);
+}
+
+export function hasUnresolvedConflicts(session) {
+  return findConflicts(session.sessionData.todaysPlan?.events).length > 0 &&
+    !session.sessionData.conflictReview?.finished;
+}
+
+// Start (or restart) going through today's conflicts one at a time
+export function startConflictReview(session) {
+  const conflicts = findConflicts(session.sessionData.todaysPlan?.events);
+
+  if (conflicts.length === 0) {
+    session.sessionData.conflictReview = { finished: true, resolved: [] };
+    return "Good news, nothing on your calendar overlaps today.";
+  }
+
+  session.sessionData.conflictReview = { conflicts, index: 0, awaiting: 'choice', pendingAction: null, finished: false, resolved: [] };
+  console.log(`⚔️ Reviewing ${conflicts.length} calendar conflicts`);
+
+  const intro = conflicts.length === 1 ? 'One thing on your calendar needs sorting out.' : `${conflicts.length} things on your calendar overlap.`;
+  return `${intro} ${describeConflict(session)}`;
+}
+
+// Runs before the normal planning turn while a conflict is waiting on a decision
+export async function handleConflictAnswer(userInput, session) {
+  const review = session.sessionData.conflictReview;
+  if (!review?.awaiting) return null;
+
+  const { first, second } = review.conflicts[review.index];
+  const answer = review.awaiting === 'target'
+    ? { action: review.pendingAction, named: pickNamedEvent(userInput, [first, second]) }
+    : detectAnswer(userInput, [first, second]);
+
+  if (!answer) {
+    // Not an answer - leave the conflict for later and let the conversation carry on
+    review.awaiting = null;
+    return null;
+  }
+
+  // "Move the dentist and decline the standup" for one overlap - ask rather than guess
+  if (answer.ambiguous) {
+    review.awaiting = 'choice';
+    return `Sorry, just one change for this one: do you want to ${answer.ambiguous.join(' or ')}, or keep both?`;
+  }
+
+  // Which of the two events they mean; later one by default for move/decline, earlier for shorten
+  const { action, named } = answer;
+  if (!named && action === 'decline' && review.awaiting === 'choice') {
+    review.awaiting = 'target';
+    review.pendingAction = action;
+    return `Which one should I decline, ${first.title} or ${second.title}?`;
+  }
+
+  review.awaiting = null;
+  review.pendingAction = null;
+  const target = named || (action === 'shorten' ? first : second);
+  const other = target === first ? second : first;
+
+  const outcome = await applyAction(action, target, other, userInput, session);
+  review.resolved.push({ first: first.title, second: second.title, action, target: target.title, ...outcome.record });
+  session.addDecision(`Calendar conflict: ${action} ${target.title}`, {
+    type: 'calendar_conflict',
+    action,
+    eventId: target.id || null,
+    other: other.title,
+    ...outcome.record
+  });
+
+  return `${outcome.message} ${nextConflict(session)}`;
+}
+
+function detectAction(text) {
+  return ACTION_PATTERNS.find(({ pattern }) => pattern.test(text))?.action || null;
+}
+
+// The action and the event it's applied to, clause by clause: in "move the dentist later, keep the
+// standup" the move goes with the dentist. Returns { action, named }, { ambiguous: [actions] } or null
+function detectAnswer(userInput, events) {
+  const clauses = userInput.split(CLAUSE_SPLIT_PATTERN)
+    .filter(Boolean)
+    .map(text => ({ action: detectAction(text), named: pickNamedEvent(text, events) }))
+    .filter(clause => clause.action);
+
+  const changes = clauses.filter(clause => clause.action !== 'keep');
+  if (changes.length === 0) {
+    return clauses.length > 0 ? { action: 'keep', named: null } : null;
+  }
+
+  const actions = [...new Set(changes.map(clause => clause.action))];
+  if (actions.length > 1) return { ambiguous: actions };
+
+  // The change names its event, or they named the one to keep and mean the other
+  const targets = [...new Set(changes.map(clause => clause.named).filter(Boolean))];
+  const named = targets.length === 1 ? targets[0] : null;
+  const kept = clauses.find(clause => clause.action === 'keep' && clause.named)?.named;
+  return { action: actions[0], named: named || (kept ? events.find(event => event !== kept) : null) };
+}
+
+function pickNamedEvent(userInput, events) {
+  const said = new Set(userInput.toLowerCase().split(/\W+/));
+  const scored = events.map(event => ({
+    event,
+    score: (event.title || '').toLowerCase().split(/\W+/).filter(word => word.length > 2 && said.has(word)).length
+  }));
+  const best = scored.sort((a, b) => b.score - a.score)[0];
+  return best.score > 0 && best.score !== scored[1].score ? best.event : null;
+}
+
+async function applyAction(action, target, other, userInput, session) {
+  const timezone = session.sessionData.timezone || DEFAULT_TIMEZONE;
+  const at = date => formatTime(date.toISOString(), timezone);
+
+  if (action === 'keep') {
+    return { message: `Okay, keeping both ${target.title} and ${other.title}.`, record: { status: 'kept' } };
+  }
+
+  if (!target.id) {
+    return { message: `I can't change ${target.title} from here, so you'll need to sort that one out yourself.`, record: { status: 'unsupported' } };
+  }
+
+  const calendar = calendarClient.forUser(session.getUser());
+  if (!calendar.accessToken) {
+    return { message: `Your calendar isn't connected, so I can't change ${target.title}. You'll need to do that one yourself.`, record: { status: 'failed', error: 'Calendar access token not configured' } };
+  }
+
+  const { start, end } = eventWindow(target);
+  const otherWindow = eventWindow(other);
+
+  if (action === 'decline') {
+    const result = await calendar.declineEvent(target.id);
+    if (!result) {
+      return { message: `Sorry, I couldn't decline ${target.title}. You may want to do that yourself.`, record: { status: 'failed' } };
+    }
+    removeEvent(session, target);
+    return {
+      message: result === 'declined' ? `Done, I declined ${target.title}.` : `Done, I took ${target.title} off your calendar.`,
+      record: { status: result }
+    };
+  }
+
+  let newStart;
+  let newEnd;
+
+  if (action === 'shorten') {
+    // Earlier event ends when the other starts; later event starts when the other ends
+    if (start < otherWindow.start) {
+      newStart = start;
+      newEnd = otherWindow.start;
+    } else {
+      newStart = otherWindow.end;
+      newEnd = end;
+    }
+    if (newEnd <= newStart) {
+      return { message: `${target.title} can't be shortened around ${other.title}, so I left it as is.`, record: { status: 'not_applied' } };
+    }
+  } else {
+    // Move: to the time they said ("to 10am", "to after lunch"), or straight after the other event
+    const duration = end - start;
+    const said = userInput.match(/.*\b(?:to|at|until|for)\s+(.+)$/i)?.[1];
+    const window = said ? parseTimeframe(`at ${said}`, { timezone, now: start }) : null; // same day as the event
+    newStart = window?.start || window?.end || otherWindow.end;
+    newEnd = new Date(newStart.getTime() + duration);
+  }
+
+  const updated = await calendar.updateEvent(target.id, { start: newStart, end: newEnd });
+  if (!updated) {
+    return { message: `Sorry, I couldn't update ${target.title}. You may want to change it yourself.`, record: { status: 'failed' } };
+  }
+
+  // Keep the in-session plan in step so the agenda and planner see the change
+  target.start = newStart.toISOString();
+  target.end = newEnd.toISOString();
+
+  const message = action === 'shorten'
+    ? `Done, ${target.title} now runs ${at(newStart)} to ${at(newEnd)}.`
+    : `Done, I moved ${target.title} to ${at(newStart)}.`;
+  return { message, record: { status: 'updated', start: newStart, end: newEnd } };
+}
+
+function eventWindow(event) {
+  const start = new Date(event.start);
+  const end = event.end && String(event.end).includes('T')
+    ? new Date(event.end)
+    : new Date(start.getTime() + DEFAULT_EVENT_MINUTES * 60 * 1000);
+  return { start, end };
+}
+
+function removeEvent(session, event) {
+  const plan = session.sessionData.todaysPlan;
+  if (plan?.events) {
+    plan.events = plan.events.filter(e => e !== event);
+  }
+}
+
+function describeConflict(session) {
+  const review = session.sessionData.conflictReview;
+  const { first, second } = review.conflicts[review.index];
+  const timezone = session.sessionData.timezone || DEFAULT_TIMEZONE;
+  const when = event => formatTime(event.start, timezone);
+
+  return `${first.title} at ${when(first)} overlaps with ${second.title} at ${when(second)}. Do you want to move, shorten, or decline one of them, or keep both?`;
+}
+
+function nextConflict(session) {
+  const review = session.sessionData.conflictReview;
+
+  // Earlier fixes can clear later conflicts, so re-check against the updated plan
+  // Anything already answered (kept, failed, couldn't change) isn't asked about twice
+  const remaining = findConflicts(session.sessionData.todaysPlan?.events)
+    .filter(c => !review.resolved.some(r => r.first === c.first.title && r.second === c.second.title));
+
+  if (remaining.length === 0) {
+    review.finished = true;
+    return "That's the calendar sorted. What feels most important to you today?";
+  }
+
+  review.conflicts = remaining;
+  review.index = 0;
+  review.awaiting = 'choice';
+  return `Next one: ${describeConflict(session)}`;
+}
@@ -0,0 +1,94 @@
+// utils/dailyCompletion.js - "I already did my workout": check Habitica dailies off by voice
+import { habiticaClient } from './habiticaClient.js';
+import { interpretConfirmation } from './intentClassifier.js';
+
+const DONE_PATTERN = /\b(already (did|done|finished|completed|took care of)|i did|i've done|i have done|just (did|finished|wrapped up)|finished|completed|knocked out|got (it|that|my \w+) done|done with|checked off)\b/i;
+const NOT_DONE_PATTERN = /\b(haven'?t|have not|didn'?t|did not|not yet|not done|never)\b/i;
+const STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'from', 'that', 'this', 'have', 'today', 'daily', 'did', 'done', 'already', 'just', 'finished', 'completed', 'my']);
+
+// Which of today's dailies they say they've done, or null
+export function detectCompletedDaily(userInput, habits = []) {
+  if (!DONE_PATTERN.test(userInput) || NOT_DONE_PATTERN.test(userInput)) return null;
+
+  const said = new Set(significantWords(userInput).map(stem));
+  let best = null;
+  let bestScore = 0;
+
+  for (const habit of habits) {
+    const words = significantWords(habit.text);
+    const score = words.filter(word => said.has(stem(word))).length;
+    if (score > bestScore) {
+      best = habit;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+// Runs before the normal planning turn; returns a reply when this turn was about a completion, otherwise null
+// Nothing is scored until they confirm, so a mis-heard "I did my workout" can't check off the wrong daily
+export async function handleDailyCompletion(userInput, session) {
+  const pending = session.sessionData.pendingCompletion;
+
+  if (pending) {
+    session.sessionData.pendingCompletion = null;
+    const answer = interpretConfirmation(userInput);
+
+    if (answer === true) {
+      return await completeDaily(pending, session);
+    }
+
+    if (answer === false) {
+      session.addDecision(`Leave daily open: ${pending.text}`, { type: 'daily_completion', taskId: pending.id, status: 'declined' });
+      return `Okay, I'll leave "${pending.text}" as it is.`;
+    }
+
+    // They moved on without answering - let the normal conversation handle it
+    return null;
+  }
+
+  const habits = session.sessionData.todaysPlan?.habits || [];
+  const habit = detectCompletedDaily(userInput, habits);
+  if (!habit) return null;
+
+  console.log(`🎯 Sounds like "${habit.text}" is done, asking to confirm`);
+  session.sessionData.pendingCompletion = { id: habit.id, text: habit.text, askedAt: new Date() };
+  return `Nice! Want me to check off "${habit.text}" in Habitica?`;
+}
+
+async function completeDaily(habit, session) {
+  try {
+    await habiticaClient.forUser(session.getUser()).scoreTask(habit.id, 'up');
+  } catch (error) {
+    console.error(`❌ Failed to score "${habit.text}" in Habitica:`, error);
+    session.addDecision(`Complete daily: ${habit.text}`, { type: 'daily_completion', taskId: habit.id, status: 'failed', error: error.message });
+    return `I couldn't reach Habitica, so you'll need to check off "${habit.text}" yourself. Nice work though.`;
+  }
+
+  console.log(`✅ Checked off "${habit.text}" in Habitica`);
+
+  // Drop it from the plan so the rest of the call stops bringing it up
+  const plan = session.sessionData.todaysPlan;
+  if (plan?.habits) {
+    plan.habits = plan.habits.filter(h => h.id !== habit.id);
+  }
+
+  const reflection = session.sessionData.reflection;
+  if (reflection) {
+    reflection.remaining = (reflection.remaining || []).filter(h => h.id !== habit.id);
+    reflection.completed = [...(reflection.completed || []), { id: habit.id, text: habit.text }];
+  }
+
+  session.addDecision(`Complete daily: ${habit.text}`, { type: 'daily_completion', taskId: habit.id, status: 'succeeded' });
+  return `Done, "${habit.text}" is checked off. What's next?`;
+}
+
+function significantWords(text) {
+  return text.toLowerCase().split(/\W+/).filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+// "workouts" and "workout" should match each other
+function stem(word) {
+  return word.endsWith('s') ? word.slice(0, -1) : word;
+}
@@ -1,4 +1,6 @@
+import { DateTime } from 'luxon';
 import { formatTime } from './formatTime.js';
+import { DEFAULT_TIMEZONE } from '../config.js';
 
 export function generateDynamicOpener(events, habits) {
   const hour = new Date().getHours();
@@ -133,4 +135,41 @@ function generateFocusStyle(events, habits) {
   return habits.length > 0 ? 
     `${habits.length} items. Which moves the needle?` : 
     'What\'s the main thing today?';
-}
\ No newline at end of file
+}
+
+// Generate a warm, collaborative opener based on their day
+// The greeting goes by the hour where they are, not where the server is
+export function generateWelcomingOpener(habits, events, { timezone = DEFAULT_TIMEZONE, now = new Date() } = {}) {
+  const hour = DateTime.fromJSDate(now, { zone: timezone || DEFAULT_TIMEZONE }).hour;
+  
+  let greeting;
+  if (hour < 7) {
+    greeting = "Early start today!";
+  } else if (hour < 10) {
+    greeting = "Good morning!";
+  } else {
+    greeting = "Morning!";
+  }
+  
+  const taskCount = habits.length;
+  const eventCount = events.length;
+  
+  // Create contextual opening based on their day
+  if (taskCount === 0 && eventCount === 0) {
+    return `${greeting} Looks like you have a pretty open day. What would you like to focus on?`;
+  }
+  
+  if (taskCount > 0 && eventCount === 0) {
+    return `${greeting} I see you have ${taskCount} things on your list. How are you feeling about tackling those today?`;
+  }
+  
+  if (eventCount > 0 && taskCount === 0) {
+    return `${greeting} You've got ${eventCount} things on your calendar. What else is on your mind for today?`;
+  }
+  
+  if (eventCount > 3) {
+    return `${greeting} Looks like a busy day with ${eventCount} calendar items. How's your energy feeling?`;
+  }
+  
+  return `${greeting} Let's look at your day together. You've got ${taskCount} tasks and ${eventCount} calendar items. What feels most important?`;
+}
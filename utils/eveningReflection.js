@@ -0,0 +1,116 @@
+// utils/eveningReflection.js - Evening reflection call: how this morning's plan actually went
+import { DateTime } from 'luxon';
+import { memory } from '../memory/memory.js';
+import { habiticaClient } from './habiticaClient.js';
+import { PLACEHOLDER_PATTERN } from './smsRecap.js';
+import { DEFAULT_TIMEZONE } from '../config.js';
+
+export const CALL_TYPES = ['morning', 'evening'];
+
+// Anything we don't recognize is treated as the original morning call
+export function normalizeCallType(callType) {
+  return CALL_TYPES.includes(callType) ? callType : 'morning';
+}
+
+// Inbound calls pick their mode from the caller's local time
+export function callTypeForTime(timezone = DEFAULT_TIMEZONE, now = new Date()) {
+  const eveningStartHour = Number(process.env.EVENING_REFLECTION_START_HOUR || 17);
+  return DateTime.fromJSDate(now, { zone: timezone }).hour >= eveningStartHour ? 'evening' : 'morning';
+}
+
+// What they said they'd do in today's morning session(s)
+export async function getMorningCommitments(user, now = new Date()) {
+  const startOfDay = DateTime.fromJSDate(now, { zone: user.timezone || DEFAULT_TIMEZONE }).startOf('day');
+
+  try {
+    const sessions = await memory.find({
+      type: 'enhanced_coaching_session',
+      userId: user.userId,
+      callType: { $ne: 'evening' },
+      isVoicemail: { $ne: true },
+      startTime: { $gte: startOfDay.toJSDate() }
+    }).sort({ startTime: 1 }).toArray();
+
+    const seen = new Set();
+    return sessions
+      .flatMap(session => session.sessionAnalysis?.commitments || [])
+      .filter(c => c.task && !PLACEHOLDER_PATTERN.test(c.task))
+      .filter(c => {
+        const key = c.task.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+
+  } catch (error) {
+    console.error('❌ Failed to load morning commitments:', error);
+    return [];
+  }
+}
+
+// Which of today's dailies actually got checked off in Habitica
+export async function getDailyProgress(user) {
+  try {
+    const dailies = await habiticaClient.forUser(user).getDailies();
+    const due = dailies.filter(task => task.isDue !== false);
+    const toHabit = task => ({ id: task.id, text: task.text, priority: task.priority || 1 });
+
+    return {
+      completed: due.filter(task => task.completed).map(toHabit),
+      remaining: due.filter(task => !task.completed).map(toHabit)
+    };
+
+  } catch (error) {
+    console.log('⚠️ Habitica progress fetch failed:', error.message);
+    return { completed: [], remaining: [] };
+  }
+}
+
+// Everything the evening call needs, fetched before dialing like the morning plan
+export async function prepareEveningReflection(user) {
+  console.log(`🌙 Preparing evening reflection for ${user.displayName || user.userId}...`);
+
+  const [commitments, progress] = await Promise.all([
+    getMorningCommitments(user),
+    getDailyProgress(user)
+  ]);
+
+  const reflection = { commitments, ...progress };
+
+  console.log(`✅ Reflection ready: ${commitments.length} commitments, ${progress.completed.length} done, ${progress.remaining.length} left`);
+
+  return {
+    callType: 'evening',
+    events: [],
+    habits: progress.remaining, // What's left is what might carry over
+    reflection,
+    opener: generateReflectionOpener(reflection)
+  };
+}
+
+export function generateReflectionOpener({ commitments = [], completed = [], remaining = [] } = {}) {
+  const total = completed.length + remaining.length;
+  const details = [];
+
+  if (commitments.length > 0) {
+    const task = commitments[0].task;
+    details.push(`This morning you planned to ${task.charAt(0).toLowerCase()}${task.slice(1)}`);
+  }
+
+  if (total > 0) {
+    if (completed.length === total) {
+      details.push(`you checked off all ${total} dailies`);
+    } else if (completed.length > 0) {
+      details.push(`you got ${completed.length} of ${total} dailies done`);
+    } else {
+      details.push(`none of your ${total} dailies are checked off yet`);
+    }
+  }
+
+  if (details.length === 0) {
+    return "Evening. Let's look back on today. What went well?";
+  }
+
+  const summary = details.join(', and ');
+  return `Evening. ${summary.charAt(0).toUpperCase()}${summary.slice(1)}. How did today go?`;
+}
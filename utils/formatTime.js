@@ -1,5 +1,6 @@
 import { DateTime } from 'luxon';
 
-export function formatTime(isoString) {
-  return DateTime.fromISO(isoString).toFormat('h:mm a');
+export function formatTime(isoString, zone) {
+  const time = DateTime.fromISO(isoString);
+  return (zone ? time.setZone(zone) : time).toFormat('h:mm a');
 }
\ No newline at end of file
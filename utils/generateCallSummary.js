@@ -1,10 +1,9 @@
 import { memory } from '../mongoClient.js';
-import OpenAI from 'openai';
+import { llmProviders } from './llmProviders.js';
 import { ctx } from '../memory/context.js';
+import { DEFAULT_USER_ID } from './userProfiles.js';
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-export async function generateCallSummary(callSid) {
+export async function generateCallSummary(callSid, userId = DEFAULT_USER_ID) {
   try {
     const history = ctx.get(callSid);
     console.log('Generating summary for call:', callSid);
@@ -34,17 +33,13 @@ End with one short final line beginning with: “Verdict: ...” that clearly st
       ...filteredHistory
     ];
 
-    const response = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
-      messages,
-      temperature: 0.4
-    });
+    const response = await llmProviders.getModel('summary').invoke(messages);
 
-    const summary = response.choices?.[0]?.message?.content?.trim();
+    const summary = response.content?.trim();
     if (!summary) return;
 
     await memory.insertOne({
-      userId: 'defaultUser',
+      userId,
       source: 'morningCoach',
       type: 'summary',
       content: summary,
@@ -1,11 +1,10 @@
 // utils/generatePlanningSessionSummary.js - Replacement for the drill sergeant summaries
 import { memory } from '../mongoClient.js';
-import OpenAI from 'openai';
+import { llmProviders } from './llmProviders.js';
 import { ctx } from '../memory/context.js';
+import { DEFAULT_USER_ID } from './userProfiles.js';
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-export async function generatePlanningSessionSummary(callSid) {
+export async function generatePlanningSessionSummary(callSid, userId = DEFAULT_USER_ID) {
   try {
     const history = ctx.get(callSid);
     console.log('Generating planning session summary for call:', callSid);
@@ -44,18 +43,14 @@ Keep the tone supportive and insight-focused, not judgmental.
       ...filteredHistory
     ];
 
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini', // More cost-effective for summaries
-      messages,
-      temperature: 0.3
-    });
+    const response = await llmProviders.getModel('summary').invoke(messages);
 
-    const summary = response.choices?.[0]?.message?.content?.trim();
+    const summary = response.content?.trim();
     if (!summary) return;
 
     // Store with updated tags and structure
     await memory.insertOne({
-      userId: 'defaultUser',
+      userId,
       source: 'morningPlanner',
       type: 'planning_session_summary',
       content: summary,
@@ -74,6 +69,8 @@ Keep the tone supportive and insight-focused, not judgmental.
 
 // Alternative: Generate structured insights instead of prose summaries
 export async function generateStructuredPlanningInsights(callSid, session) {
+  const userId = session.sessionData?.userId || DEFAULT_USER_ID;
+
   try {
     const history = ctx.get(callSid);
     if (!history || !history.length) return;
@@ -106,7 +103,7 @@ export async function generateStructuredPlanningInsights(callSid, session) {
 
     // Store structured insights
     await memory.insertOne({
-      userId: 'defaultUser',
+      userId,
       source: 'morningPlanner',
       type: 'structured_planning_insights',
       data: insights,
@@ -1,32 +1,36 @@
 import fetch from 'node-fetch';
 import { analyzeDayStructure } from './llmReply.js'; // Add the missing import
 import { formatTime } from './formatTime.js';
+import { userDirectory } from './userProfiles.js';
+import { habiticaClient } from './habiticaClient.js';
 
-export async function getTodayPlan() {
-  console.log('📋 Fetching today\'s plan from Habitica and calendar...');
+async function fetchEvents(eventsEndpoint) {
+  if (!eventsEndpoint) {
+    throw new Error('No events endpoint configured');
+  }
+  return await fetch(eventsEndpoint);
+}
+
+// `user` is a profile from userProfiles.js; defaults to the env-configured user
+export async function getTodayPlan(user = userDirectory.getDefaultProfile()) {
+  console.log(`📋 Fetching today's plan from Habitica and calendar for ${user.displayName || user.userId}...`);
   
   try {
-    const [eventsRes, habitsRes] = await Promise.all([
-      fetch(process.env.EVENTS_ENDPOINT).catch(err => {
+    const [eventsRes, dailies] = await Promise.all([
+      fetchEvents(user.calendar?.eventsEndpoint).catch(err => {
         console.log('⚠️ Events fetch failed:', err.message);
         return { json: () => [] };
       }),
-      fetch('https://habitica.com/api/v3/tasks/user?type=dailys', {
-        headers: {
-          'x-api-user': process.env.HABITICA_USER_ID,
-          'x-api-key': process.env.HABITICA_API_TOKEN
-        }
-      }).catch(err => {
+      habiticaClient.forUser(user).getDailies().catch(err => {
         console.log('⚠️ Habitica fetch failed:', err.message);
-        return { json: () => ({ data: [] }) };
+        return [];
       })
     ]);
 
     const events = await eventsRes.json();
     console.log('📅 Fetched events:', events?.length || 0);
     
-    const habitsData = await habitsRes.json();
-    const habits = (habitsData.data || [])
+    const habits = dailies
       .filter(task => !task.completed && task.isDue !== false)
       .map(task => ({
         id: task.id,
@@ -49,12 +53,12 @@ export async function getTodayPlan() {
   }
 }
 
-export async function getTodayPlanWithAnalysis() {
+export async function getTodayPlanWithAnalysis(user = userDirectory.getDefaultProfile()) {
   console.log('🧠 Getting today\'s plan with AI analysis...');
   
   try {
     // Get the raw data
-    const { events, habits } = await getTodayPlan();
+    const { events, habits } = await getTodayPlan(user);
     
     if (habits.length === 0 && events.length === 0) {
       return {
@@ -91,7 +95,7 @@ export async function getTodayPlanWithAnalysis() {
     
   } catch (error) {
     console.error('❌ Error in plan analysis:', error);
-    const { events, habits } = await getTodayPlan();
+    const { events, habits } = await getTodayPlan(user);
     
     return {
       events,
@@ -1,44 +1,68 @@
 // utils/guidedConversation.js - New collaborative conversation helpers
-import { llmReply } from './llmReply.js';
+import { llmReply, llmReplyWithTools } from './llmReply.js';
 import { PromptTemplate } from "@langchain/core/prompts";
 
 // Generate contextual responses based on conversation phase
-export async function generateGuidedResponse(userInput, session, history, phase = 'general') {
+// `suggestion` is the question to steer toward when a new planning phase has just started
+export async function generateGuidedResponse(userInput, session, history, phase = 'general', { suggestion = null } = {}) {
   try {
     console.log(`🧭 Generating guided response for phase: ${phase}`);
     
-    const conversationContext = buildConversationContext(session, history);
-    const phasePrompt = getPhaseSpecificPrompt(phase);
+    const guidedHistory = buildGuidedHistory(userInput, session, history, phase, suggestion);
+    const response = await llmReply(guidedHistory);
+    return response;
     
-    // Create a more nuanced system message
-    const guidedSystemMessage = {
-      role: 'system',
-      content: `You are a thoughtful morning planning partner. Your goal is to help them think through their day collaboratively.
-
-CURRENT PHASE: ${phase}
-CONVERSATION CONTEXT: ${conversationContext}
-
-${phasePrompt}
+  } catch (error) {
+    console.error('Guided response error:', error);
+    return suggestion || getFallbackResponse(phase);
+  }
+}
 
-Keep responses to 15-25 words. Be warm, curious, and helpful. Ask good questions that help them discover their own priorities.`
-    };
+// Same guidance, but the coach may answer with an ADD_TASK / ADD_EVENT tool call
+// Always resolves to { type: 'message', content } or { type: 'tool_call', ... }, with the `provider` that answered
+export async function generateGuidedResponseWithTools(userInput, session, history, phase = 'general', { suggestion = null } = {}) {
+  try {
+    console.log(`🧭 Generating guided response (with tools) for phase: ${phase}`);
     
-    // Build conversation with guided context
-    const guidedHistory = [
-      guidedSystemMessage,
-      ...history.slice(-6), // Last 6 exchanges for context
-      { role: 'user', content: userInput }
-    ];
-    
-    const response = await llmReply(guidedHistory);
-    return response;
+    const guidedHistory = buildGuidedHistory(userInput, session, history, phase, suggestion);
+    return await llmReplyWithTools(guidedHistory);
     
   } catch (error) {
     console.error('Guided response error:', error);
-    return getFallbackResponse(phase);
+    return { type: 'message', content: suggestion || getFallbackResponse(phase), provider: 'canned' };
   }
 }
 
+function buildGuidedHistory(userInput, session, history, phase, suggestion) {
+  const conversationContext = buildConversationContext(session, history);
+  const phasePrompt = getPhaseSpecificPrompt(phase);
+  
+  // Evening calls look back on the day instead of planning it
+  const role = session.sessionData.callType === 'evening'
+    ? 'You are a thoughtful evening reflection partner. Your goal is to help them look back on their day and decide what carries over to tomorrow.'
+    : 'You are a thoughtful morning planning partner. Your goal is to help them think through their day collaboratively.';
+  
+  // Create a more nuanced system message
+  const guidedSystemMessage = {
+    role: 'system',
+    content: `${role}
+
+CURRENT PHASE: ${phase}
+CONVERSATION CONTEXT: ${conversationContext}
+
+${phasePrompt}
+${suggestion ? `\nWe just moved into this phase. Work toward asking something like: "${suggestion}"\n` : ''}
+Keep responses to 15-25 words. Be warm, curious, and helpful. Ask good questions that help them discover their own priorities.`
+  };
+  
+  // Build conversation with guided context
+  return [
+    guidedSystemMessage,
+    ...history.slice(-6), // Last 6 exchanges for context
+    { role: 'user', content: userInput }
+  ];
+}
+
 // Build context about their planning session so far
 function buildConversationContext(session, history) {
   const context = [];
@@ -49,6 +73,28 @@ function buildConversationContext(session, history) {
     context.push(`Today: ${habits.length} tasks, ${events.length} calendar items`);
   }
   
+  // What they planned this morning vs. what actually got checked off
+  const reflection = session.sessionData.reflection;
+  if (reflection) {
+    if (reflection.commitments.length > 0) {
+      context.push(`This morning's commitments: ${reflection.commitments.map(c => c.task).join('; ')}`);
+    }
+    if (reflection.completed.length > 0) {
+      context.push(`Dailies completed: ${reflection.completed.map(h => h.text).join(', ')}`);
+    }
+    if (reflection.remaining.length > 0) {
+      context.push(`Dailies not done: ${reflection.remaining.map(h => h.text).join(', ')}`);
+    }
+  }
+  
+  // What the planning phases have captured so far
+  const captured = session.sessionData.planning?.captured;
+  if (captured) {
+    if (captured.energy) context.push(`Energy: ${captured.energy}`);
+    if (captured.priorities.length > 0) context.push(`Priorities so far: ${captured.priorities.join('; ')}`);
+    if (captured.timing.length > 0) context.push(`Timing discussed: ${captured.timing.map(t => t.text).join('; ')}`);
+  }
+  
   // Add insights gathered so far
   if (session.sessionData.insights) {
     Object.entries(session.sessionData.insights).forEach(([key, value]) => {
@@ -94,6 +140,20 @@ WRAP-UP PHASE: Help them feel good about their plan.
 - Offer encouragement
 - Prepare for a positive ending`,
 
+    reflection: `
+REFLECTION PHASE: Help them look back on how today went.
+- Start with what went well
+- Ask how this morning's commitments turned out
+- Be curious about what got in the way, not critical
+- Notice any patterns worth mentioning`,
+
+    carry_over: `
+CARRY-OVER PHASE: Help them decide what moves to tomorrow.
+- Go through what didn't get done
+- Ask whether each item carries over or gets dropped
+- Keep tomorrow realistic - don't pile everything on
+- Confirm what they're carrying over`,
+
     general: `
 GENERAL CONVERSATION: Be naturally helpful and curious.
 - Listen to what they're sharing
@@ -112,6 +172,8 @@ function getFallbackResponse(phase) {
     prioritization: "Of those things, which one would make the biggest difference?",
     commitment: "That sounds like a good choice. How much time do you think it'll take?",
     wrap_up: "How does that plan feel to you?",
+    reflection: "What went well for you today?",
+    carry_over: "Is there anything you want to carry over to tomorrow?",
     general: "What would be helpful to talk through?"
   };
   
@@ -0,0 +1,65 @@
+import fetch from 'node-fetch';
+
+class HabiticaClient {
+  constructor({ userId = process.env.HABITICA_USER_ID, apiToken = process.env.HABITICA_API_TOKEN } = {}) {
+    this.userId = userId;
+    this.apiToken = apiToken;
+    this.baseURL = 'https://habitica.com/api/v3';
+    this.headers = {
+      'x-api-user': this.userId,
+      'x-api-key': this.apiToken,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  // Client bound to one user's credentials (see userProfiles.js)
+  forUser(user) {
+    return new HabiticaClient({
+      userId: user?.habitica?.userId ?? null,
+      apiToken: user?.habitica?.apiToken ?? null
+    });
+  }
+
+  isConfigured() {
+    return Boolean(this.userId && this.apiToken);
+  }
+
+  // All of today's dailies, completed or not
+  async getDailies() {
+    if (!this.isConfigured()) {
+      throw new Error('No Habitica credentials configured');
+    }
+
+    const response = await fetch(`${this.baseURL}/tasks/user?type=dailys`, {
+      headers: this.headers
+    });
+
+    if (!response.ok) {
+      throw new Error(`Habitica API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.data || [];
+  }
+
+  // Check a task off ("up") or undo it ("down"); returns the score delta data
+  async scoreTask(taskId, direction = 'up') {
+    if (!this.isConfigured()) {
+      throw new Error('No Habitica credentials configured');
+    }
+
+    const response = await fetch(`${this.baseURL}/tasks/${taskId}/score/${direction}`, {
+      method: 'POST',
+      headers: this.headers
+    });
+
+    if (!response.ok) {
+      throw new Error(`Habitica API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.data;
+  }
+}
+
+export const habiticaClient = new HabiticaClient();
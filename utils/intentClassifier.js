@@ -0,0 +1,112 @@
+// utils/intentClassifier.js - What the user meant this turn, and the tasks/times/energy they mentioned
+import { classifyIntent } from './llmReply.js';
+
+const TIME_PATTERN = /\b(\d{1,2}(:\d{2})?\s*(am|pm)?\s*(-|to)\s*\d{1,2}(:\d{2})?\s*(am|pm)?|\d{1,2}(:\d{2})?\s*(am|pm)|(in |for )?\d+\s*(minutes?|mins?|hours?|hrs?)|noon|first thing|this (morning|afternoon|evening)|after lunch|before lunch|tonight|end of (the )?day)\b/gi;
+const TASK_PATTERN = /\b(?:need to|have to|got to|gotta|want to|should|going to|gonna|plan to)\s+([^.,!?]+)/gi;
+
+// LLM first, keyword matching if it fails - always returns the same shape
+export async function classifyUserInput(userInput, session) {
+  const result = await classifyIntent(userInput, buildClassifierContext(session));
+
+  if (result) {
+    return { ...result, source: 'llm' };
+  }
+
+  return { ...classifyWithKeywords(userInput, session), source: 'keywords' };
+}
+
+function buildClassifierContext(session) {
+  const plan = session.sessionData.todaysPlan;
+  if (!plan) return 'No plan loaded';
+
+  const items = [
+    ...(plan.habits || []).map(h => h.text),
+    ...(plan.events || []).map(e => e.title)
+  ].filter(Boolean);
+
+  return items.length > 0 ? `Today's tasks and events: ${items.join('; ')}` : 'Nothing scheduled today';
+}
+
+// Answer to a yes/no offer ("want me to...?", "does that work?") - true, false, or null if unclear
+// How the answer starts wins ("Yes, no changes", "No, hold off"); "no problem" and "no need" are yeses
+const NO_BUT_YES = 'problem|worries|changes?|need';
+// "Okay, no..." - fillers don't count as the start of the answer
+const FILLER_PATTERN = /^\W*((ok(ay)?|alright|um+|uh+|well|hmm+)\b\W*)*/i;
+const LEADING_DECLINE_PATTERN = new RegExp(`^(no|nope|nah|not really|not yet|hold off|never ?mind)\\b(?! (${NO_BUT_YES})\\b)`, 'i');
+const LEADING_ACCEPT_PATTERN = /^(yes|yeah|yep|yup|sure|absolutely|definitely|sounds good|that works|works for me|perfect|let's do it|go ahead|deal)\b/i;
+// Hedges outweigh a yes-word later in the sentence - "I'm not sure that works"
+const HEDGE_PATTERN = /\b(not sure|not really|don'?t think so|not yet|hold off|never ?mind)\b/i;
+const ACCEPT_PATTERN = new RegExp(`\\b(yes|yeah|yep|yup|sure|ok|okay|sounds good|that works|works for me|perfect|let's do it|do it|go ahead|please|great|deal|no (${NO_BUT_YES}))\\b`, 'i');
+const DECLINE_PATTERN = /\b(no|nope|nah|don'?t|do not)\b/i;
+
+export function interpretConfirmation(text) {
+  if (!text) return null;
+  const answer = text.replace(FILLER_PATTERN, '');
+  if (LEADING_DECLINE_PATTERN.test(answer)) return false;
+  if (LEADING_ACCEPT_PATTERN.test(answer)) return true;
+  if (HEDGE_PATTERN.test(text)) return false;
+  if (ACCEPT_PATTERN.test(text)) return true;
+  if (DECLINE_PATTERN.test(text)) return false;
+  return null;
+}
+
+// The original keyword rules, kept as the fallback
+export function analyzeUserIntent(userInput) {
+  const input = userInput.toLowerCase();
+
+  if (input.includes('tired') || input.includes('overwhelmed') || input.includes('busy')) {
+    return 'expressing_constraints';
+  }
+
+  if (input.includes('want to') || input.includes('need to') || input.includes('should')) {
+    return 'identifying_tasks';
+  }
+
+  if (input.includes('time') || input.includes('when') || input.includes('schedule')) {
+    return 'discussing_timing';
+  }
+
+  if (input.includes('yes') || input.includes('that works') || input.includes('sounds good')) {
+    return 'confirming';
+  }
+
+  return 'general_discussion';
+}
+
+function classifyWithKeywords(userInput, session) {
+  const input = userInput.toLowerCase();
+
+  // Plan items they mention by name, plus anything phrased as "need to X"
+  const planItems = [
+    ...(session.sessionData.todaysPlan?.habits || []).map(h => h.text),
+    ...(session.sessionData.todaysPlan?.events || []).map(e => e.title)
+  ].filter(Boolean);
+  const mentionedTasks = [
+    ...planItems.filter(item => input.includes(item.toLowerCase())),
+    ...[...userInput.matchAll(TASK_PATTERN)].map(match => match[1].trim())
+  ];
+
+  let energyLevel = 'unknown';
+  if (/\b(tired|exhausted|drained|sluggish|low)\b/.test(input)) {
+    energyLevel = 'low';
+  } else if (/\b(energized|energetic|excited|great|pumped)\b/.test(input)) {
+    energyLevel = 'high';
+  } else if (/\b(okay|ok|fine|alright|decent)\b/.test(input)) {
+    energyLevel = 'moderate';
+  }
+
+  let sentiment = 'neutral';
+  if (/\b(good|great|excited|happy|love|perfect|awesome)\b/.test(input)) {
+    sentiment = 'positive';
+  } else if (/\b(bad|stressed|overwhelmed|worried|ugh|annoyed|frustrated)\b/.test(input)) {
+    sentiment = 'negative';
+  }
+
+  return {
+    intent: analyzeUserIntent(userInput),
+    mentioned_tasks: [...new Set(mentionedTasks)],
+    time_expressions: (userInput.match(TIME_PATTERN) || []).map(t => t.trim()),
+    energy_level: energyLevel,
+    sentiment
+  };
+}
@@ -0,0 +1,130 @@
+// utils/keypadShortcuts.js - Keypad (DTMF) controls available on every conversation gather
+import { memory } from '../memory/memory.js';
+import { ctx } from '../memory/context.js';
+import { callRedialer } from './callRedialer.js';
+import { skipToPhase } from './planningStateMachine.js';
+import { readAgenda } from './agendaReader.js';
+import { closeCall } from './callClosing.js';
+
+export const KEYPAD_SHORTCUTS = {
+  '1': 'repeat',
+  '2': 'agenda',
+  '3': 'wrap_up',
+  '4': 'snooze',
+  '9': 'end_call'
+};
+
+const SHORTCUTS_HELP = "Press 1 to hear that again, 2 for today's agenda, 3 to wrap up, 4 to snooze me, or 9 to hang up.";
+export const SHORTCUTS_ANNOUNCEMENT = `Before we start, a quick tip: you can use your keypad anytime. ${SHORTCUTS_HELP}`;
+
+// Gather options that take a single key press alongside speech
+export function withKeypad(options) {
+  return {
+    ...options,
+    input: 'speech dtmf',
+    numDigits: 1,
+    finishOnKey: '#'
+  };
+}
+
+// Only first-time callers get the announcement - everyone else has heard it
+export async function shouldAnnounceShortcuts(user) {
+  try {
+    const previous = await memory.find({
+      type: 'enhanced_coaching_session',
+      userId: user.userId,
+      isVoicemail: { $ne: true }
+    }).limit(1).toArray();
+    return previous.length === 0;
+  } catch (error) {
+    console.error('❌ Could not check for previous sessions:', error);
+    return false;
+  }
+}
+
+// Returns { action, say, hangup } for /gather to turn into TwiML
+export async function handleKeypad(digit, session) {
+  const action = KEYPAD_SHORTCUTS[digit] || 'unknown';
+  console.log(`🔢 Keypad ${digit} → ${action}`);
+
+  if (action !== 'unknown') {
+    session.addDecision(`Keypad: ${action}`, { type: 'keypad', digit });
+  }
+
+  switch (action) {
+    case 'repeat':
+      return { action, say: lastReply(session) || "I didn't catch where we were. What's on your mind?", hangup: false };
+
+    case 'agenda':
+      return { action, say: remember(session, readAgenda(session)), hangup: false };
+
+    case 'wrap_up':
+      skipToPhase(session, 'close', 'keypad');
+      return { action, say: remember(session, describeWrapUp(session)), hangup: false };
+
+    case 'snooze':
+      return { action, ...(await snooze(session)) };
+
+    case 'end_call':
+      return { action, say: closeCall(session.callSid, session, null), hangup: true };
+
+    default:
+      return { action, say: `That key doesn't do anything. ${SHORTCUTS_HELP}`, hangup: false };
+  }
+}
+
+function lastReply(session) {
+  const history = ctx.get(session.callSid) || [];
+  return [...history].reverse().find(msg => msg.role === 'assistant')?.content || null;
+}
+
+// Keep what we said in the history so "repeat" and the LLM both see it
+function remember(session, text) {
+  const history = ctx.get(session.callSid) || [];
+  history.push({ role: 'assistant', content: text });
+  ctx.set(session.callSid, history);
+  return text;
+}
+
+function describeWrapUp(session) {
+  const commitments = session.sessionData.commitments || [];
+  const isEvening = session.sessionData.callType === 'evening';
+
+  if (commitments.length === 0) {
+    return isEvening
+      ? "Let's wrap up. Is there one thing you want to carry over to tomorrow?"
+      : "Let's wrap up. What's the one thing you want to get done today?";
+  }
+
+  const plan = commitments.map(c => (c.timeframe ? `${c.task} ${c.timeframe}` : c.task)).join(', ');
+  return isEvening
+    ? `Let's wrap up. Carrying over to tomorrow: ${plan}. Anything else before you wind down?`
+    : `Let's wrap up. Your plan: ${plan}. Anything else before we go?`;
+}
+
+async function snooze(session) {
+  const minutes = Number(process.env.KEYPAD_SNOOZE_MINUTES || 10);
+  const { callChainId, phoneNumber, callType, timezone } = session.sessionData;
+
+  try {
+    const callBackAt = await callRedialer.snooze(callChainId || session.callSid, {
+      callSid: session.callSid,
+      attempt: session.sessionData.callAttempt || 1,
+      phoneNumber,
+      minutes,
+      timezone,
+      callType
+    });
+
+    if (!callBackAt) {
+      return { say: "It's getting late for another call, so I won't ring back. Call me whenever you're ready.", hangup: true };
+    }
+
+    session.sessionData.snoozedUntil = callBackAt;
+    return { say: `No problem, I'll call you back in ${minutes} minutes.`, hangup: true };
+
+  } catch (error) {
+    console.error('❌ Snooze failed:', error);
+    return { say: "I couldn't set up a call back, so call me whenever you're ready. Talk soon!", hangup: true };
+  }
+}
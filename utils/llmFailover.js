@@ -0,0 +1,103 @@
+// utils/llmFailover.js - Try each provider in a task's chain in turn, skipping ones that keep failing
+//
+// A provider that fails LLM_BREAKER_THRESHOLD times in a row (default 3) is skipped by every task
+// for LLM_BREAKER_COOLDOWN_MS (default 60s), then gets one trial call before it's trusted again.
+// When the whole chain fails the error reaches the caller, which answers with its canned line.
+
+const breakers = new Map(); // provider -> { failures, openUntil }
+
+function getBreaker(provider) {
+  if (!breakers.has(provider)) {
+    breakers.set(provider, { failures: 0, openUntil: 0 });
+  }
+  return breakers.get(provider);
+}
+
+function isOpen(provider, now = Date.now()) {
+  return getBreaker(provider).openUntil > now;
+}
+
+function recordSuccess(provider) {
+  const breaker = getBreaker(provider);
+  if (breaker.openUntil) {
+    console.log(`✅ ${provider} answered again, closing its circuit breaker`);
+  }
+  breaker.failures = 0;
+  breaker.openUntil = 0;
+}
+
+function recordFailure(provider) {
+  const breaker = getBreaker(provider);
+  const threshold = Number(process.env.LLM_BREAKER_THRESHOLD || 3);
+  const cooldown = Number(process.env.LLM_BREAKER_COOLDOWN_MS || 60000);
+
+  breaker.failures += 1;
+  // A failed trial call after a cool-down reopens straight away
+  if (breaker.failures >= threshold || breaker.openUntil) {
+    breaker.openUntil = Date.now() + cooldown;
+    console.log(`🚧 ${provider} failed ${breaker.failures} times, skipping it for ${Math.round(cooldown / 1000)}s`);
+  }
+}
+
+// For /status - which providers are currently being skipped
+export function getBreakerStatus() {
+  const now = Date.now();
+  return Object.fromEntries([...breakers.entries()].map(([provider, breaker]) => [
+    provider,
+    isOpen(provider, now)
+      ? { state: 'open', failures: breaker.failures, retryAt: new Date(breaker.openUntil) }
+      : { state: 'closed', failures: breaker.failures }
+  ]));
+}
+
+// Behaves like a single chat model; the answering provider is on response.response_metadata.answeredBy
+export class FailoverChatModel {
+  constructor(task, links) {
+    this.task = task;
+    this.links = links; // [{ provider, model, timeoutMs, chatModel }] in order of preference
+  }
+
+  async invoke(input) {
+    let lastError = null;
+
+    for (const link of this.links) {
+      if (isOpen(link.provider)) {
+        console.log(`⏭️ Skipping ${link.provider} for ${this.task} (circuit open)`);
+        continue;
+      }
+
+      try {
+        const response = await withTimeout(signal => link.chatModel.invoke(input, { signal }), link.timeoutMs);
+        recordSuccess(link.provider);
+        response.response_metadata = { ...response.response_metadata, answeredBy: link.provider };
+        return response;
+      } catch (error) {
+        lastError = error;
+        console.error(`❌ ${link.provider}/${link.model} failed for ${this.task}:`, error.message);
+        recordFailure(link.provider);
+      }
+    }
+
+    throw new Error(`No LLM provider answered for ${this.task}${lastError ? ` (last error: ${lastError.message})` : ' (all circuits open)'}`);
+  }
+}
+
+// Aborts the request as well as giving up on it, so a hung provider doesn't keep a socket open
+async function withTimeout(run, timeoutMs) {
+  if (!timeoutMs) return run(undefined);
+
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([run(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
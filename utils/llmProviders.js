@@ -0,0 +1,188 @@
+// utils/llmProviders.js - One place that decides which model handles which job
+//
+// Settings are resolved per task, later sources winning:
+//   1. built-in defaults for the provider (LLM_PROVIDER, default openai)
+//   2. "providers.<provider>" in the JSON file named by LLM_CONFIG_FILE
+//   3. LLM_<PROVIDER>_MODEL / _BASE_URL / _TEMPERATURE / _MAX_TOKENS / _TIMEOUT_MS (e.g. LLM_OLLAMA_MODEL)
+//   4. "default" in the JSON file
+//   5. LLM_MODEL / LLM_BASE_URL / LLM_TEMPERATURE / LLM_MAX_TOKENS / LLM_TIMEOUT_MS
+//      (4 and 5 only apply to tasks left on the default provider)
+//   6. "tasks.<task>" in the JSON file
+//   7. LLM_<TASK>_PROVIDER / _MODEL / _BASE_URL / _TEMPERATURE / _MAX_TOKENS / _TIMEOUT_MS (e.g. LLM_DAY_ANALYSIS_MODEL)
+//
+// Each task can fall back to other providers when its own fails (see llmFailover.js):
+// LLM_<TASK>_FALLBACKS, "fallbacks" in tasks.<task>, LLM_FALLBACKS or "fallbacks" in default,
+// e.g. LLM_FALLBACKS=ollama. Fallbacks only use settings 1-3.
+import { readFileSync } from 'fs';
+import { ChatOllama } from "@langchain/ollama";
+import { ChatOpenAI } from "@langchain/openai";
+import { ScriptedChatModel } from './scriptedLLM.js';
+import { FailoverChatModel } from './llmFailover.js';
+
+export const LLM_TASKS = ['live_reply', 'intent', 'day_analysis', 'session_analysis', 'summary'];
+export const LLM_PROVIDERS = ['openai', 'ollama', 'scripted'];
+
+const PROVIDER_DEFAULTS = {
+  openai: { model: 'gpt-4o', baseUrl: null, temperature: 0.4, maxTokens: 150, timeoutMs: 10000 },
+  ollama: { model: 'qwen:7b-chat', baseUrl: 'http://localhost:11434', temperature: 0.4, maxTokens: null, timeoutMs: 20000 },
+  // Offline: the model is the fixture file to answer from (see scriptedLLM.js)
+  scripted: { model: null, baseUrl: null, temperature: 0, maxTokens: null, timeoutMs: null }
+};
+
+// Where a task differs from the provider's defaults
+const TASK_DEFAULTS = {
+  openai: {
+    intent: { temperature: 0 },
+    day_analysis: { maxTokens: 400 },
+    session_analysis: { maxTokens: 600 },
+    summary: { model: 'gpt-4o-mini', temperature: 0.3, maxTokens: 600 } // cheaper for after-call summaries
+  },
+  ollama: {
+    intent: { temperature: 0 },
+    summary: { temperature: 0.3 }
+  },
+  scripted: Object.fromEntries(LLM_TASKS.map(task => [task, { model: task }]))
+};
+
+class LLMProviderRegistry {
+  constructor() {
+    this.fileConfig = loadConfigFile(process.env.LLM_CONFIG_FILE);
+    this.models = new Map(); // task -> chat model instance
+  }
+
+  // The resolved settings for a task (no credentials)
+  // With `provider`, the settings that provider would use as a fallback for the task
+  getTaskConfig(task, provider = null) {
+    if (!LLM_TASKS.includes(task)) {
+      throw new Error(`Unknown LLM task "${task}" (expected one of: ${LLM_TASKS.join(', ')})`);
+    }
+
+    const envKey = `LLM_${task.toUpperCase()}`;
+    const fileDefault = this.fileConfig.default || {};
+    const fileTask = this.fileConfig.tasks?.[task] || {};
+
+    const defaultProvider = process.env.LLM_PROVIDER || fileDefault.provider || 'openai';
+    const primary = process.env[`${envKey}_PROVIDER`] || fileTask.provider || defaultProvider;
+    const chosen = provider || primary;
+
+    if (!LLM_PROVIDERS.includes(chosen)) {
+      throw new Error(`Unknown LLM provider "${chosen}" for ${task} (expected one of: ${LLM_PROVIDERS.join(', ')})`);
+    }
+
+    const fallbacks = parseList(process.env[`${envKey}_FALLBACKS`]) || fileTask.fallbacks ||
+      parseList(process.env.LLM_FALLBACKS) || fileDefault.fallbacks || [];
+
+    // A task moved to another provider shouldn't inherit the default provider's model or URL
+    const isPrimary = chosen === primary;
+    const shared = isPrimary && chosen === defaultProvider ? { ...pick(fileDefault), ...fromEnv('LLM') } : {};
+    const own = isPrimary ? { ...pick(fileTask), ...fromEnv(envKey) } : {};
+
+    return {
+      task,
+      provider: chosen,
+      ...PROVIDER_DEFAULTS[chosen],
+      ...TASK_DEFAULTS[chosen][task],
+      ...pick(this.fileConfig.providers?.[chosen] || {}),
+      ...fromEnv(`LLM_${chosen.toUpperCase()}`),
+      ...shared,
+      ...own,
+      fallbacks: isPrimary ? fallbacks.filter(p => p !== chosen) : []
+    };
+  }
+
+  // The task's own provider followed by its fallbacks, each with its resolved settings
+  getChain(task) {
+    const primary = this.getTaskConfig(task);
+    return [primary, ...primary.fallbacks.map(provider => this.getTaskConfig(task, provider))];
+  }
+
+  // Chat model for a task; instances are shared between calls
+  getModel(task) {
+    if (!this.models.has(task)) {
+      const chain = this.getChain(task);
+      console.log(`🤖 ${task}: ${chain.map(config => `${config.provider}/${config.model}`).join(' → ')}`);
+      this.models.set(task, new FailoverChatModel(task, chain.map(config => ({
+        provider: config.provider,
+        model: config.model,
+        timeoutMs: config.timeoutMs,
+        chatModel: createChatModel(config)
+      }))));
+    }
+    return this.models.get(task);
+  }
+
+  // For /status - which models each task runs on, in failover order
+  describe() {
+    return Object.fromEntries(LLM_TASKS.map(task => {
+      try {
+        return [task, this.getChain(task).map(({ provider, model }) => `${provider}/${model}`)];
+      } catch (error) {
+        return [task, `misconfigured: ${error.message}`];
+      }
+    }));
+  }
+}
+
+// One retry at most - a provider that keeps failing is the failover chain's job, not LangChain's backoff
+const MAX_RETRIES = 1;
+
+function createChatModel({ task, provider, model, baseUrl, temperature, maxTokens }) {
+  if (provider === 'scripted') {
+    return new ScriptedChatModel({ task, model });
+  }
+
+  if (provider === 'ollama') {
+    return new ChatOllama({
+      baseUrl,
+      model,
+      temperature,
+      maxRetries: MAX_RETRIES,
+      ...(maxTokens ? { numPredict: maxTokens } : {})
+    });
+  }
+
+  return new ChatOpenAI({
+    model,
+    temperature,
+    maxRetries: MAX_RETRIES,
+    ...(maxTokens ? { maxTokens } : {}),
+    ...(baseUrl ? { configuration: { baseURL: baseUrl } } : {})
+  });
+}
+
+function loadConfigFile(path) {
+  if (!path) return {};
+
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Could not read LLM config file ${path}, using env and defaults:`, error.message);
+    return {};
+  }
+}
+
+// Only the settings we know about, so a typo in the file can't sneak in other options
+function pick(source) {
+  const settings = {};
+  ['model', 'baseUrl', 'temperature', 'maxTokens', 'timeoutMs'].forEach(key => {
+    if (source[key] !== undefined) settings[key] = source[key];
+  });
+  return settings;
+}
+
+function fromEnv(prefix) {
+  const settings = {};
+  if (process.env[`${prefix}_MODEL`]) settings.model = process.env[`${prefix}_MODEL`];
+  if (process.env[`${prefix}_BASE_URL`]) settings.baseUrl = process.env[`${prefix}_BASE_URL`];
+  if (process.env[`${prefix}_TEMPERATURE`]) settings.temperature = Number(process.env[`${prefix}_TEMPERATURE`]);
+  if (process.env[`${prefix}_MAX_TOKENS`]) settings.maxTokens = Number(process.env[`${prefix}_MAX_TOKENS`]);
+  if (process.env[`${prefix}_TIMEOUT_MS`]) settings.timeoutMs = Number(process.env[`${prefix}_TIMEOUT_MS`]);
+  return settings;
+}
+
+// "openai, ollama" -> ['openai', 'ollama']; unset stays null so the next source is tried
+function parseList(value) {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : null;
+}
+
+export const llmProviders = new LLMProviderRegistry();
@@ -1,50 +1,41 @@
-import { ChatOllama } from "@langchain/ollama";
-import { ChatOpenAI } from "@langchain/openai";
-import { StructuredOutputParser } from "langchain/output_parsers";
 import { PromptTemplate } from "@langchain/core/prompts";
 import { z } from "zod";
+import { findConflicts } from "./conflictResolver.js";
+import { llmProviders } from "./llmProviders.js";
+import { invokeStructured, formatInstructions } from "./structuredOutput.js";
 
-// Create LLM provider based on environment
-function createLLMProvider() {
-  if (process.env.LLM_PROVIDER === 'ollama') {
-    return new ChatOllama({
-      baseUrl: "http://localhost:11434",
-      model: "qwen:7b-chat",
-      temperature: 0.4,
-    });
-  }
-  
-  return new ChatOpenAI({
-    modelName: "gpt-4o",
-    temperature: 0.4,
-    maxTokens: 150
-  });
-}
+// Models come from the provider registry, one per task (see llmProviders.js)
+const llm = task => llmProviders.getModel(task);
 
-const llm = createLLMProvider();
-
-// Day analysis parser with better error handling
-const dayAnalysisParser = StructuredOutputParser.fromZodSchema(
-  z.object({
-    priority_items: z.array(z.string()).describe("Top 3 priority items for the day"),
-    time_conflicts: z.array(z.string()).describe("Any scheduling conflicts or tight timing"),
-    energy_assessment: z.enum(['light', 'moderate', 'heavy']).describe("Overall day energy requirement"),
-    focus_recommendation: z.string().describe("What should they tackle first")
-  })
-);
-
-// Session analysis parser  
-const sessionAnalysisParser = StructuredOutputParser.fromZodSchema(
-  z.object({
-    key_decisions: z.array(z.string()).describe("Major decisions made during session"),
-    commitments: z.array(z.object({
-      task: z.string(),
-      timeframe: z.string()
-    })).describe("Specific commitments user made"),
-    mood_energy: z.string().describe("User's apparent mood and energy level"),
-    session_outcome: z.enum(['productive', 'planning', 'adjustment', 'brief']).describe("Type of session")
-  })
-);
+// Day analysis schema
+const dayAnalysisSchema = z.object({
+  priority_items: z.array(z.string()).describe("Top 3 priority items for the day"),
+  time_conflicts: z.array(z.string()).describe("Any scheduling conflicts or tight timing"),
+  energy_assessment: z.enum(['light', 'moderate', 'heavy']).describe("Overall day energy requirement"),
+  focus_recommendation: z.string().describe("What should they tackle first")
+});
+
+// Session analysis schema
+const sessionAnalysisSchema = z.object({
+  key_decisions: z.array(z.string()).describe("Major decisions made during session"),
+  commitments: z.array(z.object({
+    task: z.string(),
+    timeframe: z.string()
+  })).describe("Specific commitments user made"),
+  mood_energy: z.string().describe("User's apparent mood and energy level"),
+  session_outcome: z.enum(['productive', 'planning', 'adjustment', 'brief']).describe("Type of session")
+});
+
+// Per-turn intent and entity schema
+export const INTENTS = ['expressing_constraints', 'identifying_tasks', 'discussing_timing', 'confirming', 'general_discussion'];
+
+const intentSchema = z.object({
+  intent: z.enum(INTENTS).describe("What the user is mainly doing in this message"),
+  mentioned_tasks: z.array(z.string()).describe("Tasks, habits or events the user mentions, in their words"),
+  time_expressions: z.array(z.string()).describe("Times, durations or parts of the day the user mentions, verbatim"),
+  energy_level: z.enum(['low', 'moderate', 'high', 'unknown']).describe("User's energy level, if they say or imply it"),
+  sentiment: z.enum(['positive', 'neutral', 'negative']).describe("Overall sentiment of the message")
+});
 
 // Your existing basic LLM function - keep this for voice responses
 export async function llmReply(history) {
@@ -55,7 +46,7 @@ export async function llmReply(history) {
     }));
 
     // Use LangChain for consistency but keep it simple for voice
-    const response = await llm.invoke(ollamaMessages);
+    const response = await llm('live_reply').invoke(ollamaMessages);
     return response.content.trim();
     
   } catch (error) {
@@ -64,12 +55,11 @@ export async function llmReply(history) {
   }
 }
 
-// Enhanced function for day analysis with better JSON extraction
+// Day analysis, validated against its schema; falls back to a rule-based analysis
 export async function analyzeDayStructure(tasks, events, context = '') {
-  try {
-    console.log('🧠 Starting day analysis...');
-    
-    const prompt = PromptTemplate.fromTemplate(`
+  console.log('🧠 Starting day analysis...');
+  
+  const prompt = PromptTemplate.fromTemplate(`
 You are analyzing someone's daily schedule. Return ONLY valid JSON with no additional text.
 
 TASKS: {tasks}
@@ -82,50 +72,20 @@ Return this exact JSON structure with no explanation or markdown:
 
 IMPORTANT: Return ONLY the JSON object, no additional text or explanation.
 `);
-    
-    const formattedPrompt = await prompt.format({
-      tasks: JSON.stringify(tasks),
-      events: JSON.stringify(events),
-      context,
-      format_instructions: dayAnalysisParser.getFormatInstructions()
-    });
-    
-    console.log('📝 Sending prompt to LLM...');
-    const response = await llm.invoke(formattedPrompt);
-    console.log('🔄 Raw LLM response:', response.content);
-    
-    // Try to extract JSON from the response
-    let jsonContent = response.content.trim();
-    
-    // Remove any markdown code blocks
-    jsonContent = jsonContent.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-    
-    // Try to find JSON object in the response
-    const jsonMatch = jsonContent.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      jsonContent = jsonMatch[0];
-    }
-    
-    console.log('🔧 Cleaned JSON:', jsonContent);
-    
-    // Manual JSON parsing with fallback
-    try {
-      const parsed = JSON.parse(jsonContent);
-      console.log('✅ Successfully parsed JSON:', parsed);
-      return parsed;
-    } catch (parseError) {
-      console.log('❌ JSON parse failed, trying structured parser...');
-      return await dayAnalysisParser.parse(response.content);
-    }
-    
-  } catch (error) {
-    console.error('Day analysis error:', error);
-    
-    // Fallback: Create analysis based on the data we have
-    const fallbackAnalysis = createFallbackAnalysis(tasks, events);
-    console.log('🔄 Using fallback analysis:', fallbackAnalysis);
-    return fallbackAnalysis;
-  }
+  
+  const formattedPrompt = await prompt.format({
+    tasks: JSON.stringify(tasks),
+    events: JSON.stringify(events),
+    context,
+    format_instructions: formatInstructions(dayAnalysisSchema)
+  });
+  
+  return invokeStructured({
+    task: 'day_analysis',
+    schema: dayAnalysisSchema,
+    prompt: formattedPrompt,
+    fallback: () => createFallbackAnalysis(tasks, events)
+  });
 }
 
 // Create a simple fallback analysis when LLM fails
@@ -140,18 +100,9 @@ function createFallbackAnalysis(tasks, events) {
   
   // Check for time conflicts in events
   if (events && events.length > 1) {
-    // Simple conflict detection
-    const sortedEvents = events.sort((a, b) => new Date(a.start) - new Date(b.start));
-    for (let i = 0; i < sortedEvents.length - 1; i++) {
-      const current = sortedEvents[i];
-      const next = sortedEvents[i + 1];
-      const currentEnd = new Date(current.end || current.start);
-      const nextStart = new Date(next.start);
-      
-      if (currentEnd > nextStart) {
-        timeConflicts.push(`${current.title} overlaps with ${next.title}`);
-      }
-    }
+    findConflicts(events).forEach(({ first, second }) => {
+      timeConflicts.push(`${first.title} overlaps with ${second.title}`);
+    });
   }
   
   // Default values if nothing found
@@ -197,7 +148,7 @@ Response:
       analysis: JSON.stringify(dayAnalysis)
     });
     
-    const response = await llm.invoke(formattedPrompt);
+    const response = await llm('live_reply').invoke(formattedPrompt);
     return response.content.trim();
     
   } catch (error) {
@@ -206,12 +157,11 @@ Response:
   }
 }
 
-// Enhanced function for session analysis with better JSON parsing
+// Session analysis, validated against its schema; falls back to what the transcript and decisions show
 export async function analyzeSession(conversation, decisions) {
-  try {
-    console.log('🔍 Starting session analysis...');
-    
-    const prompt = PromptTemplate.fromTemplate(`
+  console.log('🔍 Starting session analysis...');
+  
+  const prompt = PromptTemplate.fromTemplate(`
 Analyze this coaching session for logging. Return ONLY valid JSON with no additional text.
 
 CONVERSATION: {conversation}
@@ -223,57 +173,51 @@ Return this exact JSON structure with no explanation or markdown:
 
 IMPORTANT: Return ONLY the JSON object, no additional text or explanation.
 `);
-    
-    const formattedPrompt = await prompt.format({
-      conversation: JSON.stringify(conversation),
-      decisions: JSON.stringify(decisions),
-      format_instructions: sessionAnalysisParser.getFormatInstructions()
-    });
-    
-    console.log('📝 Sending session analysis prompt to LLM...');
-    const response = await llm.invoke(formattedPrompt);
-    console.log('🔄 Raw session analysis response:', response.content);
-    
-    // Clean and extract JSON - same logic as day analysis
-    let jsonContent = response.content.trim();
-    
-    // Remove any markdown code blocks
-    jsonContent = jsonContent.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-    
-    // Remove any text before the JSON object
-    const jsonMatch = jsonContent.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      jsonContent = jsonMatch[0];
-    }
-    
-    console.log('🔧 Cleaned session JSON:', jsonContent);
-    
-    // Try manual JSON parsing first
-    try {
-      const parsed = JSON.parse(jsonContent);
-      console.log('✅ Successfully parsed session JSON:', parsed);
-      
-      // Validate the structure
-      if (parsed.key_decisions && parsed.commitments && parsed.mood_energy && parsed.session_outcome) {
-        return parsed;
-      } else {
-        console.log('⚠️ JSON missing required fields, using fallback...');
-        return createFallbackSessionAnalysis(conversation, decisions);
-      }
-    } catch (parseError) {
-      console.log('❌ Manual JSON parse failed, trying structured parser...');
-      try {
-        return await sessionAnalysisParser.parse(response.content);
-      } catch (structuredError) {
-        console.log('❌ Structured parser also failed, using fallback...');
-        return createFallbackSessionAnalysis(conversation, decisions);
-      }
-    }
-    
-  } catch (error) {
-    console.error('Session analysis error:', error);
-    return createFallbackSessionAnalysis(conversation, decisions);
-  }
+  
+  const formattedPrompt = await prompt.format({
+    conversation: JSON.stringify(conversation),
+    decisions: JSON.stringify(decisions),
+    format_instructions: formatInstructions(sessionAnalysisSchema)
+  });
+  
+  return invokeStructured({
+    task: 'session_analysis',
+    schema: sessionAnalysisSchema,
+    prompt: formattedPrompt,
+    fallback: () => createFallbackSessionAnalysis(conversation, decisions)
+  });
+}
+
+// Classify one user message; returns null when the LLM or its JSON can't be trusted
+// No repair round - a live turn is waiting, and the caller has its own rule-based fallback
+export async function classifyIntent(userInput, context = '') {
+  const prompt = PromptTemplate.fromTemplate(`
+Classify this message from a morning planning conversation. Return ONLY valid JSON with no additional text.
+Read negations carefully - "I'm not tired at all" is not low energy.
+
+CONTEXT: {context}
+MESSAGE: {message}
+
+Return this exact JSON structure with no explanation or markdown:
+
+{format_instructions}
+
+IMPORTANT: Return ONLY the JSON object, no additional text or explanation.
+`);
+  
+  const formattedPrompt = await prompt.format({
+    context,
+    message: userInput,
+    format_instructions: formatInstructions(intentSchema)
+  });
+  
+  return invokeStructured({
+    task: 'intent',
+    schema: intentSchema,
+    prompt: formattedPrompt,
+    fallback: null,
+    repairs: 0
+  });
 }
 
 // Create fallback session analysis when LLM fails
@@ -364,14 +308,15 @@ TOOL_CALL: ADD_TASK "task description"
 or
 TOOL_CALL: ADD_EVENT "event title" "time/date"
 
-OTHERWISE: Just respond normally as their morning coach. Keep responses under 30 words for voice.`;
+OTHERWISE: Just respond normally as their coach. Keep responses under 30 words for voice.`;
 
-    const response = await llm.invoke([
+    const response = await llm('live_reply').invoke([
       { role: 'system', content: enhancedSystemPrompt },
       ...conversationHistory
     ]);
 
     const content = response.content.trim();
+    const provider = response.response_metadata?.answeredBy || null;
     
     // Simple tool parsing
     if (content.includes('TOOL_CALL: ADD_TASK')) {
@@ -381,7 +326,8 @@ OTHERWISE: Just respond normally as their morning coach. Keep responses under 30
           type: 'tool_call', 
           action: 'add_task',
           task: taskMatch[1],
-          originalResponse: content.replace(/TOOL_CALL:.*/, '').trim()
+          originalResponse: content.replace(/TOOL_CALL:.*/, '').trim(),
+          provider
         };
       }
     }
@@ -394,15 +340,16 @@ OTHERWISE: Just respond normally as their morning coach. Keep responses under 30
           action: 'add_event',
           title: eventMatch[1],
           time: eventMatch[2],
-          originalResponse: content.replace(/TOOL_CALL:.*/, '').trim()
+          originalResponse: content.replace(/TOOL_CALL:.*/, '').trim(),
+          provider
         };
       }
     }
     
-    return { type: 'message', content };
+    return { type: 'message', content, provider };
     
   } catch (error) {
     console.error('LLM Reply With Tools Error:', error);
-    return { type: 'message', content: "Let's stay focused. What's your main goal this morning?" };
+    return { type: 'message', content: "Let's stay focused. What's your main goal this morning?", provider: 'canned' };
   }
 }
\ No newline at end of file
@@ -1,8 +1,14 @@
 import fetch from 'node-fetch';
 
 class NotionClient {
-  constructor() {
-    this.apiKey = process.env.NOTION_API_KEY;
+  constructor({
+    apiKey = process.env.NOTION_API_KEY,
+    logsDatabaseId = process.env.NOTION_LOGS_DB_ID,
+    tasksDatabaseId = process.env.NOTION_TASKS_DB_ID
+  } = {}) {
+    this.apiKey = apiKey;
+    this.logsDatabaseId = logsDatabaseId;
+    this.tasksDatabaseId = tasksDatabaseId;
     this.baseURL = 'https://api.notion.com/v1';
     this.headers = {
       'Authorization': `Bearer ${this.apiKey}`,
@@ -11,6 +17,15 @@ class NotionClient {
     };
   }
 
+  // Client bound to one user's Notion workspace (see userProfiles.js)
+  forUser(user) {
+    return new NotionClient({
+      apiKey: user?.notion?.apiKey ?? null,
+      logsDatabaseId: user?.notion?.logsDatabaseId ?? null,
+      tasksDatabaseId: user?.notion?.tasksDatabaseId ?? null
+    });
+  }
+
   // Get today's habits/tasks from a Notion database
   async getTodayHabits(databaseId) {
     try {
@@ -235,7 +250,7 @@ class NotionClient {
           "Date": {
             title: [{ 
               text: { 
-                content: `${dateStr} - ${timeStr} Morning Session`
+                content: `${dateStr} - ${timeStr} ${sessionData.callType === 'evening' ? 'Evening Reflection' : 'Morning Session'}`
               } 
             }]
           },
@@ -437,6 +452,11 @@ class NotionClient {
       return 'Voicemail';
     }
     
+    // Evening calls are always logged as reflections, whatever was discussed
+    if (sessionData.callType === 'evening') {
+      return 'Evening Reflection';
+    }
+    
     const summary = (sessionData.summary || '').toLowerCase();
     const goals = (sessionData.goals || '').toLowerCase();
     const combinedText = `${summary} ${goals}`;
@@ -635,6 +655,11 @@ class NotionClient {
         })
       });
 
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Notion API error: ${response.status} - ${errorText}`);
+      }
+
       return await response.json();
     } catch (error) {
       console.error('Error adding task to Notion:', error);
@@ -0,0 +1,40 @@
+// utils/outboundCall.js - Single place where outbound coaching calls are dialed
+import { randomUUID } from 'crypto';
+import { twilioClient } from './twilioClient.js';
+import { preCallManager } from './preCallPrep.js';
+import { TWILIO_PHONE_NUMBER, PUBLIC_URL } from '../config.js';
+
+export async function placeCall(to, options = {}) {
+  const { source = 'api', chainId = randomUUID(), attempt = 1, callType = 'morning' } = options;
+
+  if (!to) {
+    throw new Error('A destination phone number is required');
+  }
+
+  console.log(`📞 Starting ${callType} call to ${to} (source: ${source}, attempt ${attempt})...`);
+
+  // Prepare all data BEFORE making the call so /voice can answer instantly
+  const preparedData = await preCallManager.prepareForCall(to, { callType });
+  const prepKey = preparedData ? preCallManager.storePreparedData(to, preparedData) : null;
+
+  console.log(prepKey ? '✅ Data prepared, making Twilio call...' : '⚠️ Dialing without prepared data, /voice will fetch it live...');
+
+  // Redial bookkeeping and the call type ride along on the webhook URLs
+  const query = new URLSearchParams({ chain: chainId, attempt: String(attempt), type: callType });
+  const voiceQuery = new URLSearchParams({ ...(prepKey && { prep: prepKey }), chain: chainId, attempt: String(attempt), type: callType });
+
+  // Make the call with status callback to handle hangups
+  const call = await twilioClient.calls.create({
+    to,
+    from: TWILIO_PHONE_NUMBER,
+    url: `${PUBLIC_URL}/voice?${voiceQuery}`, // Pass prep key
+    statusCallback: `${PUBLIC_URL}/status?${query}`, // This will handle hangups and redials!
+    statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
+    statusCallbackMethod: 'POST',
+    // Wait for the beep on machines so /voice can leave a message; humans are detected right away
+    machineDetection: process.env.TWILIO_MACHINE_DETECTION || 'DetectMessageEnd'
+  });
+
+  console.log(`🎯 Call initiated with SID: ${call.sid}`);
+  return { sid: call.sid, chainId, attempt, callType };
+}
@@ -0,0 +1,96 @@
+// utils/pendingReplies.js - Turns that outlive their webhook: keep generating, deliver on the redirect
+//
+// /gather gives a turn REPLY_BUDGET_MS (default 5s) to produce a reply. If it isn't ready the caller
+// hears a filler line and Twilio is redirected to /gather/pending, which waits another budget for
+// the same turn - up to REPLY_MAX_FILLERS times before giving up on it. A turn we give up on is
+// told through its AbortSignal and drops its result instead of acting on it.
+
+const FILLERS = [
+  'One moment.',
+  'Let me think about that.',
+  'Still with you, just a second.'
+];
+
+class PendingReplyManager {
+  constructor() {
+    this.turns = new Map(); // callSid -> { promise, settled, result, error, fillers, startedAt }
+  }
+
+  get budgetMs() {
+    return Number(process.env.REPLY_BUDGET_MS || 5000);
+  }
+
+  get maxFillers() {
+    return Number(process.env.REPLY_MAX_FILLERS || 2);
+  }
+
+  // Start a turn in the background; a turn still running from before goes first so history stays in order
+  // `work` gets an AbortSignal that fires if we give up on it, so it can skip its side effects
+  start(callSid, work) {
+    const previous = this.turns.get(callSid)?.promise;
+    const controller = new AbortController();
+    const turn = { settled: false, result: null, error: null, fillers: 0, startedAt: Date.now(), controller };
+
+    turn.promise = (previous ? previous.catch(() => {}) : Promise.resolve())
+      .then(() => work(controller.signal))
+      .then(result => { turn.result = result; }, error => { turn.error = error; })
+      .finally(() => {
+        turn.settled = true;
+        // Abandoned turns have nobody left to collect them
+        if (turn.abandoned && this.turns.get(callSid) === turn) {
+          this.turns.delete(callSid);
+        }
+      });
+
+    this.turns.set(callSid, turn);
+    return turn;
+  }
+
+  has(callSid) {
+    return this.turns.has(callSid);
+  }
+
+  // { status: 'ready', result } | { status: 'failed', error } | { status: 'waiting', filler } | { status: 'gave_up' }
+  async waitFor(callSid, budgetMs = this.budgetMs) {
+    const turn = this.turns.get(callSid);
+    if (!turn) return { status: 'gave_up' };
+
+    if (!turn.settled) {
+      let timer;
+      await Promise.race([
+        turn.promise,
+        new Promise(resolve => { timer = setTimeout(resolve, budgetMs); })
+      ]);
+      clearTimeout(timer);
+    }
+
+    if (turn.settled) {
+      this.turns.delete(callSid);
+      console.log(`⏱️ Reply for ${callSid} took ${Date.now() - turn.startedAt}ms`);
+      return turn.error ? { status: 'failed', error: turn.error } : { status: 'ready', result: turn.result };
+    }
+
+    if (turn.fillers >= this.maxFillers) {
+      turn.abandoned = true;
+      turn.controller.abort();
+      console.log(`⌛ Giving up on the reply for ${callSid} after ${Date.now() - turn.startedAt}ms`);
+      return { status: 'gave_up' };
+    }
+
+    const filler = FILLERS[turn.fillers % FILLERS.length];
+    turn.fillers += 1;
+    console.log(`⏳ Reply for ${callSid} not ready after ${Date.now() - turn.startedAt}ms, playing filler ${turn.fillers}`);
+    return { status: 'waiting', filler };
+  }
+
+  clear(callSid) {
+    const turn = this.turns.get(callSid);
+    if (turn) {
+      turn.abandoned = true;
+      turn.controller.abort();
+      this.turns.delete(callSid);
+    }
+  }
+}
+
+export const pendingReplies = new PendingReplyManager();
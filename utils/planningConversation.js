@@ -0,0 +1,297 @@
+// utils/planningConversation.js - The planning conversation itself, shared by voice (/gather) and SMS (/sms)
+import { generateGuidedResponseWithTools } from './guidedConversation.js';
+import { executeToolCall } from './toolActions.js';
+import { handleDailyCompletion } from './dailyCompletion.js';
+import { isAgendaRequest, readAgenda, continueAgenda } from './agendaReader.js';
+import { isPlanRequest, proposeTimeBlocks, handleTimeBlockAnswer } from './timeBlockPlanner.js';
+import { isConflictRequest, hasUnresolvedConflicts, startConflictReview, handleConflictAnswer } from './conflictResolver.js';
+import { generateWelcomingOpener } from './dynamicOpener.js';
+import { generateReflectionOpener } from './eveningReflection.js';
+import { createPlanningState, advancePlanningPhase, getPromptPhase } from './planningStateMachine.js';
+import { classifyUserInput } from './intentClassifier.js';
+import { captureCommitments, getUntimedCommitments } from './commitmentTracker.js';
+import { getSession } from './sessionManager.js';
+import { ctx } from '../memory/context.js';
+import { guidedPlanningPrompt, eveningReflectionPrompt } from '../prompts/systemPrompt.js';
+
+// Set up a fresh planning session once we know who we're talking to
+// callType 'evening' runs the reflection flow; `reflection` comes from prepareEveningReflection
+export function beginPlanningSession(sessionId, { user, events, habits, prepared = null, direction = 'outbound', channel = 'voice', callType = 'morning', reflection = null }) {
+  const isEvening = callType === 'evening';
+  
+  // Create planning session
+  const session = getSession(sessionId);
+  session.setUser(user);
+  session.sessionData.todaysPlan = { events, habits };
+  session.sessionData.direction = direction;
+  session.sessionData.channel = channel;
+  session.sessionData.callType = callType;
+  
+  if (prepared) {
+    session.sessionData.dayAnalysis = prepared.analysis;
+    session.sessionData.userContext = prepared.userContext;
+  }
+  
+  if (isEvening) {
+    session.sessionData.reflection = reflection || { commitments: [], completed: [], remaining: habits };
+  } else {
+    session.sessionData.planning = createPlanningState();
+  }
+  
+  // Generate a warm, collaborative opener
+  const opener = prepared?.opener || (isEvening
+    ? generateReflectionOpener(session.sessionData.reflection)
+    : generateWelcomingOpener(habits, events, { timezone: user?.timezone }));
+  
+  // Set conversation context with gentle system prompt
+  ctx.set(sessionId, [
+    { role: 'system', content: isEvening ? eveningReflectionPrompt : guidedPlanningPrompt },
+    { role: 'assistant', content: opener }
+  ]);
+  
+  // Track this interaction
+  session.addExchange('SESSION_START', opener, { 
+    taskCount: habits.length, 
+    eventCount: events.length,
+    approach: isEvening ? 'evening_reflection' : 'guided_planning',
+    channel
+  });
+  
+  session.setState(isEvening ? 'reflection_check_in' : 'planning_check_in');
+  
+  console.log(`✅ ${isEvening ? 'Reflection' : 'Planning'} session initialized: "${opener}"`);
+  
+  return { session, opener };
+}
+
+// Run one user turn through the phase machine, the LLM and session tracking
+// `signal` aborts when the caller stopped waiting (see pendingReplies.js); the turn then resolves to null
+export async function runPlanningTurn(sessionId, userInput, { signal } = {}) {
+  const session = getSession(sessionId);
+  const history = ctx.get(sessionId) || [];
+  
+  // Add user input to conversation history
+  const userMessage = { role: 'user', content: userInput };
+  history.push(userMessage);
+  
+  // Enough to take the turn back if the caller stops waiting for it
+  const turn = {
+    signal,
+    userMessage,
+    planning: structuredClone(session.sessionData.planning ?? null),
+    state: session.sessionData.state
+  };
+  const reply = (text, intent) => replyDirectly(sessionId, session, history, userInput, text, intent, turn);
+  
+  // "Read me my day" (and "next" while we're reading it)
+  const agendaReply = continueAgenda(userInput, session) || (isAgendaRequest(userInput) ? readAgenda(session) : null);
+  if (agendaReply) {
+    return reply(agendaReply, 'agenda_request');
+  }
+  
+  // Each of these can score a daily or change the calendar, so none of them starts once the turn is abandoned
+  if (signal?.aborted) return dropTurn(sessionId, session, history, userInput, turn);
+  
+  // "I already did my workout" - confirm and check it off before anything else
+  const completionReply = await handleDailyCompletion(userInput, session);
+  if (completionReply) {
+    return reply(completionReply, 'daily_completion');
+  }
+  
+  // Deciding what to do about an overlapping pair of calendar events
+  if (signal?.aborted) return dropTurn(sessionId, session, history, userInput, turn);
+  const conflictReply = await handleConflictAnswer(userInput, session);
+  if (conflictReply) {
+    return reply(conflictReply, 'calendar_conflict');
+  }
+  
+  if (isConflictRequest(userInput)) {
+    return reply(startConflictReview(session), 'calendar_conflict');
+  }
+  
+  // Answering a proposed time-block plan (or whether to put it on the calendar)
+  if (signal?.aborted) return dropTurn(sessionId, session, history, userInput, turn);
+  const timeBlockReply = await handleTimeBlockAnswer(userInput, session, { signal });
+  if (timeBlockReply) {
+    return reply(timeBlockReply, 'time_block_answer');
+  }
+  
+  // Morning calls follow the explicit phase machine; evening reflections are looser
+  const isEvening = session.sessionData.callType === 'evening';
+  let conversationPhase;
+  let promptPhase;
+  let suggestion = null;
+  
+  if (isEvening) {
+    conversationPhase = promptPhase = detectReflectionPhase(userInput, session);
+  } else {
+    const step = advancePlanningPhase(session, userInput);
+    
+    // Sort out double bookings while we're looking at what's on their plate
+    if (step.entered && step.phase === 'review' && hasUnresolvedConflicts(session)) {
+      return reply(startConflictReview(session), 'calendar_conflict');
+    }
+    
+    // Asked for a schedule, or priorities are settled - propose concrete time blocks
+    if (isPlanRequest(userInput) || (step.entered && step.phase === 'commit')) {
+      const classification = await classifyUserInput(userInput, session);
+      if (signal?.aborted) return dropTurn(sessionId, session, history, userInput, turn);
+      captureCommitments(userInput, session, classification);
+      return reply(proposeTimeBlocks(session), 'time_block_proposal');
+    }
+    
+    conversationPhase = step.phase;
+    promptPhase = getPromptPhase(step.phase);
+    suggestion = step.nextQuestion;
+    
+    // Don't lock in a plan while something they committed to still has no time
+    const untimed = getUntimedCommitments(session);
+    if (step.phase === 'commit' && untimed.length > 0) {
+      suggestion = `When are you going to fit in ${untimed[0].task}?`;
+    }
+  }
+  
+  // Classify intent and entities alongside the reply so the caller doesn't wait twice
+  const [classification, response] = await Promise.all([
+    classifyUserInput(userInput, session),
+    generateGuidedResponseWithTools(userInput, session, history, promptPhase, { suggestion })
+  ]);
+  
+  if (signal?.aborted) return dropTurn(sessionId, session, history, userInput, turn);
+  
+  const { intent: userIntent, source: intentSource, ...entities } = classification;
+  
+  const captured = captureCommitments(userInput, session, classification);
+  if (captured.length > 0) {
+    console.log(`📌 Commitments this turn: ${captured.map(c => `${c.task}${c.timeframe ? ` (${c.timeframe})` : ''}`).join(', ')}`);
+  }
+  
+  // The coach asked to add something - do it now and tell them how it went
+  let assistantReply;
+  let toolResult = null;
+  if (response.type === 'tool_call') {
+    toolResult = await executeToolCall(response, session);
+    assistantReply = [response.originalResponse, toolResult.message].filter(Boolean).join(' ');
+  } else {
+    assistantReply = response.content;
+  }
+  
+  console.log(`🧭 Conversation phase: ${conversationPhase}, Intent: ${userIntent} (${intentSource})`);
+  
+  // Track insights and patterns (not "performance")
+  trackPlanningInsights(userInput, assistantReply, session);
+  
+  // Add assistant reply to history
+  history.push({ role: 'assistant', content: assistantReply });
+  ctx.set(sessionId, history);
+  
+  // Enhanced session tracking
+  session.addExchange(userInput, assistantReply, {
+    phase: conversationPhase,
+    intent: userIntent,
+    intentSource,
+    entities,
+    toolCall: toolResult ? { action: response.action, ok: toolResult.ok } : null,
+    provider: response.provider || null,
+    approach: isEvening ? 'reflective' : 'collaborative'
+  });
+  
+  console.log(`🤝 Assistant reply: "${assistantReply}"`);
+  
+  // Check if the reflection feels complete (morning calls get there through the close phase)
+  if (isEvening && shouldOfferWrapUp(session, history)) {
+    assistantReply += " Anything else before you wind down for the night?";
+  }
+  
+  return { reply: assistantReply, phase: conversationPhase, intent: userIntent, entities };
+}
+
+// Evening calls move from looking back to deciding what carries over
+function detectReflectionPhase(userInput, session) {
+  const input = userInput.toLowerCase();
+  const exchangeCount = session.sessionData.conversation?.length || 0;
+  
+  // Start by talking about how the day went
+  if (exchangeCount < 3) {
+    return 'reflection';
+  }
+  
+  // Ready to wrap up
+  if (input.includes('done') || input.includes('good night') || input.includes("that's it") || exchangeCount > 8) {
+    return 'wrap_up';
+  }
+  
+  // Deciding what moves to tomorrow
+  if (input.includes('tomorrow') || input.includes('carry') || input.includes('move') || input.includes("didn't") || input.includes('skip')) {
+    return 'carry_over';
+  }
+  
+  return 'reflection';
+}
+
+// Turns handled without the LLM or the phase machine (agenda, daily completions)
+function replyDirectly(sessionId, session, history, userInput, reply, intent, turn = null) {
+  if (turn?.signal?.aborted) return dropTurn(sessionId, session, history, userInput, turn);
+  
+  const phase = session.sessionData.planning?.phase || session.sessionData.state;
+  history.push({ role: 'assistant', content: reply });
+  ctx.set(sessionId, history);
+  session.addExchange(userInput, reply, { phase, intent });
+  
+  console.log(`🤝 Assistant reply: "${reply}"`);
+  return { reply, phase, intent, entities: null };
+}
+
+// They heard "what were you saying?" and will repeat themselves - no commitments, history or phase change from this one
+function dropTurn(sessionId, session, history, userInput, turn) {
+  const index = history.lastIndexOf(turn.userMessage);
+  if (index !== -1) history.splice(index, 1);
+  
+  if (turn.planning) session.sessionData.planning = turn.planning;
+  session.sessionData.state = turn.state;
+  
+  console.log(`🚫 Dropping abandoned turn for ${sessionId}: "${userInput}"`);
+  return null;
+}
+
+// Track insights about their planning process (not performance)
+function trackPlanningInsights(userInput, assistantReply, session) {
+  const input = userInput.toLowerCase();
+  
+  // Track energy patterns
+  if (input.includes('tired')) {
+    session.addInsight('energy_pattern', 'reports_low_energy');
+  }
+  
+  if (input.includes('excited') || input.includes('ready')) {
+    session.addInsight('energy_pattern', 'reports_high_energy');
+  }
+  
+  // Track planning preferences
+  if (input.includes('list') || input.includes('order')) {
+    session.addInsight('planning_style', 'prefers_structure');
+  }
+  
+  if (input.includes('feel') || input.includes('think')) {
+    session.addInsight('planning_style', 'intuitive_approach');
+  }
+}
+
+// Determine if conversation feels naturally complete
+function shouldOfferWrapUp(session, history) {
+  const exchangeCount = history.length;
+  const userMessages = history.filter(msg => msg.role === 'user');
+  
+  // Offer wrap-up if:
+  // - They've made some commitments
+  // - Conversation has gone on for a while
+  // - They seem satisfied with their plan
+  
+  if (exchangeCount > 10) return true;
+  
+  // Every commitment has a time attached - nothing left to pin down
+  const commitments = session.sessionData.commitments || [];
+  if (commitments.length > 0 && getUntimedCommitments(session).length === 0 && exchangeCount > 6) return true;
+  
+  return false;
+}
@@ -0,0 +1,224 @@
+// utils/planningStateMachine.js - Explicit phases for the morning planning conversation
+// Follows the GuidedPlanningSession flow: check_in -> review -> prioritize -> timing -> commit -> close
+import { GuidedPlanningSession } from '../prompts/systemPrompt.js';
+
+const STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'from', 'that', 'this', 'have', 'today', 'daily', 'work', 'time', 'day']);
+
+export const PLANNING_PHASES = ['check_in', 'review', 'prioritize', 'timing', 'commit', 'close'];
+
+const guide = new GuidedPlanningSession();
+
+const ENERGY_PATTERN = /\b(tired|exhausted|drained|sluggish|low|meh|okay|ok|fine|alright|good|great|rested|energized|energetic|excited|ready|stressed|overwhelmed)\b/i;
+const TASK_PATTERN = /\b(?:need to|have to|got to|gotta|want to|should|must|going to|gonna|plan to)\s+([^.,!?]+)/i;
+// Tried in order: "the report is the most important", "the most important thing is the report", "first, emails"
+const PRIORITY_PATTERNS = [
+  /([^.,!?]+?)\s+(?:is|are)\s+(?:the\s+|my\s+)?(?:most important|top priority|priority|first|main thing|biggest thing)/i,
+  /\b(?:most important|top priority|main|biggest|first)\s+(?:thing|task|priority)?\s*(?:today|for me|for today)?\s*(?:is|will be)\s+([^.,!?]+)/i,
+  /\b(?:first(?: thing)?|top priority|priority is|focus on|start with)\s*,?\s+([^.,!?]+)/i
+];
+// Words around the task that aren't the task ("I think", "I want to do", "thing", "first")
+const PRIORITY_LEAD_FILLER = /^(?:(?:so|well|ok(?:ay)?|honestly|i think|i guess|probably|definitely|then|thing|things)\b,?\s*)*(?:(?:i|we)(?:'m|'re|'ll|'d| am| are| will| would)?\s+(?:(?:want|need|have|got|going|plan|like|should)\s+)?)?(?:to\s+)?(?:do\s+|work on\s+|get to\s+|tackle\s+)?/i;
+const PRIORITY_TRAIL_FILLER = /\s+(?:first|today|this morning|for sure|i think)$/i;
+const NOT_A_PRIORITY = /^(?:it|that|this|thing|things|something|stuff|everything)?$/i;
+const TIMING_PATTERN = /\b(\d{1,2}(:\d{2})?\s*(am|pm)?\s*(-|to)\s*\d{1,2}|\d{1,2}(:\d{2})?\s*(am|pm)|\d+\s*(minutes?|mins?|hours?|hrs?)|first thing|right away|after lunch|before lunch|this afternoon|this morning|noon|end of (the )?day)\b/i;
+const CONFIRM_PATTERN = /\b(yes|yeah|yep|sounds good|that works|works for me|perfect|let's do it|deal|sure|i'm in|locked in|good plan)\b/i;
+// Explicit "I'm done" - a bare "good" is not enough to end the conversation
+const END_PATTERN = /\b(that's it|that's all|that is all|gotta go|got to go|have to go|i'm all set|all set|wrap (it )?up|bye|done for now)\b/i;
+
+// What each phase needs before it is allowed to end, and which prompt guidance it uses
+// `turnLimit` keeps a quiet or rambling user from getting stuck in one phase forever
+const PHASES = {
+  check_in: {
+    promptPhase: 'exploration',
+    turnLimit: 2,
+    isComplete: captured => captured.energy !== null
+  },
+  review: {
+    promptPhase: 'exploration',
+    turnLimit: 2,
+    isComplete: captured => captured.items.length > 0
+  },
+  prioritize: {
+    promptPhase: 'prioritization',
+    turnLimit: 3,
+    isComplete: captured => captured.priorities.length > 0
+  },
+  timing: {
+    promptPhase: 'commitment',
+    turnLimit: 2,
+    isComplete: captured => captured.timing.length > captured.timingBaseline
+  },
+  commit: {
+    promptPhase: 'commitment',
+    turnLimit: 2,
+    isComplete: captured => captured.confirmed
+  },
+  close: {
+    promptPhase: 'wrap_up',
+    turnLimit: Infinity,
+    isComplete: () => false
+  }
+};
+
+export function createPlanningState() {
+  return {
+    phase: 'check_in',
+    turnsInPhase: 0,
+    enteredAt: new Date(),
+    captured: {
+      energy: null,
+      items: [],
+      priorities: [],
+      timing: [],
+      timingBaseline: 0, // timing mentions that came before the latest priority
+      confirmed: false,
+      endRequested: false
+    },
+    transitions: []
+  };
+}
+
+// Guidance for generateGuidedResponse in the current phase
+export function getPromptPhase(phase) {
+  return PHASES[phase]?.promptPhase || 'general';
+}
+
+// Run one user turn through the machine; the state lives on session.sessionData.planning
+// Returns { phase, previousPhase, entered, nextQuestion }
+export function advancePlanningPhase(session, userInput) {
+  const state = session.sessionData.planning || (session.sessionData.planning = createPlanningState());
+  const previousPhase = state.phase;
+  const { newPriority, timed } = capture(state, userInput, session);
+
+  state.turnsInPhase += 1;
+
+  let next = state.phase;
+  let reason = null;
+
+  if (state.captured.endRequested && state.phase !== 'check_in') {
+    // They asked to wrap up - honour it from anywhere past the opening check-in
+    next = 'close';
+    reason = 'end_requested';
+  } else if ((state.phase === 'commit' || state.phase === 'close') && newPriority) {
+    // Something new came up late - it needs a time too, and a fresh confirmation
+    state.captured.confirmed = false;
+    next = timed ? 'commit' : 'timing';
+    reason = 'new_priority';
+    state.captured.timingBaseline = state.captured.timing.length;
+  } else {
+    // Move on once the phase has what it needs, skipping phases already covered
+    while (next !== 'close' && phaseDone(next, state)) {
+      reason = reason || (PHASES[next].isComplete(state.captured) ? 'criteria_met' : 'turn_limit');
+      next = PLANNING_PHASES[PLANNING_PHASES.indexOf(next) + 1];
+    }
+  }
+
+  if (next !== state.phase) {
+    transition(session, state, next, reason);
+  }
+
+  const entered = state.phase !== previousPhase;
+  return {
+    phase: state.phase,
+    previousPhase,
+    entered,
+    nextQuestion: entered ? guide.getNextQuestion(state.phase) : null
+  };
+}
+
+// Jump straight to a phase (e.g. the keypad's "wrap up" shortcut)
+export function skipToPhase(session, phase, reason) {
+  const state = session.sessionData.planning;
+  if (!state || state.phase === phase || !PHASES[phase]) return;
+  transition(session, state, phase, reason);
+}
+
+function phaseDone(phase, state) {
+  const definition = PHASES[phase];
+  const turns = phase === state.phase ? state.turnsInPhase : 0;
+  return definition.isComplete(state.captured) || turns >= definition.turnLimit;
+}
+
+function transition(session, state, to, reason) {
+  console.log(`🧭 Planning phase: ${state.phase} → ${to} (${reason})`);
+
+  state.transitions.push({ from: state.phase, to, reason, at: new Date() });
+  state.phase = to;
+  state.turnsInPhase = 0;
+  state.enteredAt = new Date();
+
+  session.setState(`planning_${to}`);
+}
+
+// Pull out what this turn tells us; reports whether it added a priority or a time
+function capture(state, userInput, session) {
+  const { captured } = state;
+  const input = userInput.trim();
+
+  if (captured.energy === null) {
+    const energy = input.match(ENERGY_PATTERN);
+    if (energy) captured.energy = energy[1].toLowerCase();
+  }
+
+  // Anything from today's plan they mention, plus tasks they name themselves
+  const planItems = [
+    ...(session.sessionData.todaysPlan?.habits || []).map(h => h.text),
+    ...(session.sessionData.todaysPlan?.events || []).map(e => e.title)
+  ].filter(Boolean);
+  const mentioned = planItems.filter(item => mentions(input, item));
+  const named = input.match(TASK_PATTERN)?.[1]?.trim();
+  [...mentioned, ...(named ? [named] : [])].forEach(item => addUnique(captured.items, item));
+
+  // Once we're prioritizing, whatever they pick (or add) counts; before that it has to be explicit
+  let newPriority = false;
+  const explicit = extractPriority(input);
+  const picking = ['prioritize', 'timing', 'commit', 'close'].includes(state.phase);
+  const candidates = mentioned.length > 0 && picking
+    ? [...mentioned, ...(named ? [named] : [])]
+    : explicit ? [explicit] : picking && named ? [named] : [];
+  candidates.forEach(item => {
+    if (addUnique(captured.priorities, item)) newPriority = true;
+  });
+
+  // A time goes with the priority it names, else the one just picked ("the report... from 9 to 11")
+  const timed = TIMING_PATTERN.test(input);
+  if (timed) {
+    const priority = captured.priorities.find(p => mentions(input, p)) || candidates[0] || captured.priorities[captured.priorities.length - 1] || null;
+    captured.timing.push({ text: input, phase: state.phase, priority });
+  }
+
+  if (state.phase === 'commit' && CONFIRM_PATTERN.test(input)) {
+    captured.confirmed = true;
+  }
+
+  if (END_PATTERN.test(input)) {
+    captured.endRequested = true;
+  }
+
+  return { newPriority, timed };
+}
+
+// The task they called their priority, without the words around it - null if nothing's left
+export function extractPriority(input) {
+  for (const pattern of PRIORITY_PATTERNS) {
+    const raw = input.match(pattern)?.[1];
+    if (!raw) continue;
+
+    const priority = raw.trim().replace(PRIORITY_LEAD_FILLER, '').replace(PRIORITY_TRAIL_FILLER, '').trim();
+    if (!NOT_A_PRIORITY.test(priority)) return priority;
+  }
+  return null;
+}
+
+// Loose match: any significant word of the item shows up in what they said ("the report")
+function mentions(input, item) {
+  const words = item.toLowerCase().split(/\W+/).filter(word => word.length > 2 && !STOP_WORDS.has(word));
+  const said = new Set(input.toLowerCase().split(/\W+/));
+  return words.some(word => said.has(word));
+}
+
+function addUnique(list, item) {
+  if (list.some(existing => existing.toLowerCase() === item.toLowerCase())) return false;
+  list.push(item);
+  return true;
+}
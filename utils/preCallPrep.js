@@ -1,31 +1,54 @@
 // utils/preCallPrep.js
 import { getTodayPlanWithAnalysis } from './getTodayPlan.js';
 import { memory } from '../memory/memory.js';
+import { generateWelcomingOpener } from './dynamicOpener.js';
+import { prepareEveningReflection } from './eveningReflection.js';
+import { userDirectory } from './userProfiles.js';
 
 class PreCallManager {
   constructor() {
     this.preparedSessions = new Map(); // callSid -> prepared data
-    this.dailyCache = null;
-    this.cacheExpiry = null;
+    this.dailyCaches = new Map(); // userId -> { data, expiresAt }
   }
 
-  async prepareForCall(phoneNumber) {
-    console.log('🚀 Preparing call data in advance...');
+  // Returns null if preparation failed
+  async prepareForCall(phoneNumber, { callType = 'morning' } = {}) {
+    console.log(`🚀 Preparing ${callType} call data in advance...`);
     
     try {
-      // Check if we have fresh daily cache (refreshes every 2 hours)
-      if (!this.isDailyCacheValid()) {
-        console.log('📊 Refreshing daily cache...');
-        this.dailyCache = await getTodayPlanWithAnalysis();
-        this.cacheExpiry = new Date(Date.now() + 2 * 60 * 60 * 1000); // 2 hours
+      const user = await userDirectory.resolveUser(phoneNumber);
+      
+      // Evening reflections need fresh Habitica progress, so they skip the daily cache
+      if (callType === 'evening') {
+        const reflection = await prepareEveningReflection(user);
+        return {
+          ...reflection,
+          user,
+          userContext: await this.getUserContext(phoneNumber),
+          preparedAt: new Date(),
+          phoneNumber
+        };
+      }
+      
+      // Check if we have fresh daily cache for this user (refreshes every 2 hours)
+      if (!this.isDailyCacheValid(user.userId)) {
+        console.log(`📊 Refreshing daily cache for ${user.userId}...`);
+        this.dailyCaches.set(user.userId, {
+          data: await getTodayPlanWithAnalysis(user),
+          expiresAt: new Date(Date.now() + 2 * 60 * 60 * 1000) // 2 hours
+        });
       }
+      
+      const dailyCache = this.dailyCaches.get(user.userId).data;
 
       // Get user context from recent sessions
       const userContext = await this.getUserContext(phoneNumber);
       
-      // Prepare session data
+      // Prepare session data, with the opener ready to speak the moment they pick up
       const preparedData = {
-        ...this.dailyCache,
+        ...dailyCache,
+        opener: generateWelcomingOpener(dailyCache.habits, dailyCache.events, { timezone: user.timezone }),
+        user,
         userContext,
         preparedAt: new Date(),
         phoneNumber
@@ -37,22 +60,16 @@ class PreCallManager {
     } catch (error) {
       console.error('❌ Pre-call preparation failed:', error);
       
-      // Fallback preparation
-      return {
-        events: [],
-        habits: [],
-        analysis: null,
-        opener: "Morning. Let's see what needs your attention today.",
-        userContext: {},
-        preparedAt: new Date(),
-        phoneNumber
-      };
+      // Nothing stored, so /voice fetches the plan live instead of opening on an empty day
+      return null;
     }
   }
 
   // Store prepared data with a temporary key that gets mapped to callSid later
   storePreparedData(phoneNumber, data) {
-    const key = `prep_${phoneNumber}`;
+    this.pruneExpired();
+    
+    const key = `prep_${phoneNumber.replace(/\D/g, '')}_${Date.now()}`;
     this.preparedSessions.set(key, {
       ...data,
       expiresAt: new Date(Date.now() + 10 * 60 * 1000) // 10 min expiry
@@ -61,12 +78,11 @@ class PreCallManager {
   }
 
   // Retrieve and transfer to actual callSid when call connects
-  claimPreparedData(phoneNumber, callSid) {
-    const key = `prep_${phoneNumber}`;
-    const data = this.preparedSessions.get(key);
+  claimPreparedData(prepKey, callSid) {
+    const data = this.preparedSessions.get(prepKey);
+    this.preparedSessions.delete(prepKey);
     
     if (data && data.expiresAt > new Date()) {
-      this.preparedSessions.delete(key);
       this.preparedSessions.set(callSid, data);
       return data;
     }
@@ -74,6 +90,16 @@ class PreCallManager {
     return null;
   }
 
+  // Drop prepared data for calls that were never answered
+  pruneExpired() {
+    const now = new Date();
+    for (const [key, data] of this.preparedSessions) {
+      if (key.startsWith('prep_') && data.expiresAt <= now) {
+        this.preparedSessions.delete(key);
+      }
+    }
+  }
+
   getPreparedData(callSid) {
     return this.preparedSessions.get(callSid);
   }
@@ -82,8 +108,14 @@ class PreCallManager {
     this.preparedSessions.delete(callSid);
   }
 
-  isDailyCacheValid() {
-    return this.dailyCache && this.cacheExpiry && new Date() < this.cacheExpiry;
+  // Today's plan if it's already cached, so inbound calls don't wait on the LLM
+  getCachedPlan(userId) {
+    return this.isDailyCacheValid(userId) ? this.dailyCaches.get(userId).data : null;
+  }
+
+  isDailyCacheValid(userId) {
+    const cache = this.dailyCaches.get(userId);
+    return cache && new Date() < cache.expiresAt;
   }
 
   async getUserContext(phoneNumber) {
@@ -141,30 +173,3 @@ class PreCallManager {
 }
 
 export const preCallManager = new PreCallManager();
-
-// Enhanced start call route
-export async function initiateCall(phoneNumber) {
-  console.log(`📞 Initiating call to ${phoneNumber}...`);
-  
-  try {
-    // Prepare all data BEFORE making the call
-    const preparedData = await preCallManager.prepareForCall(phoneNumber);
-    const prepKey = preCallManager.storePreparedData(phoneNumber, preparedData);
-    
-    console.log('✅ Data prepared, making Twilio call...');
-    
-    // Now make the actual Twilio call with prepared data ready
-    const twilio = Twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
-    const call = await twilio.calls.create({ 
-      to: phoneNumber, 
-      from: TWILIO_PHONE_NUMBER, 
-      url: `${PUBLIC_URL}/voice?prep=${prepKey}` // Pass prep key
-    });
-    
-    return { callSid: call.sid, prepared: true };
-    
-  } catch (error) {
-    console.error('❌ Call initiation failed:', error);
-    throw error;
-  }
-}
\ No newline at end of file
@@ -0,0 +1,88 @@
+// utils/scriptedLLM.js - A stand-in chat model that answers from fixture files, for offline runs and tests
+//
+// Each task reads fixtures/llm/<model>.json (the model name defaults to the task, see llmProviders.js):
+//   {
+//     "input": "MESSAGE: (.*)",             optional - the part of a text prompt the rules look at
+//     "rules": [{ "match": "regex", "response": "text or JSON, $1 for groups" }],
+//     "script": ["reply to the 1st user turn", "reply to the 2nd", ...],
+//     "default": "anything else"
+//   }
+// Rules win (first match), then the script, then the default. Object responses are returned as JSON text.
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { AIMessage } from '@langchain/core/messages';
+
+const DEFAULT_FIXTURES_DIR = fileURLToPath(new URL('../fixtures/llm/', import.meta.url));
+
+export class ScriptedChatModel {
+  constructor({ task, model }) {
+    this.task = task;
+    this.model = model;
+    this.fixture = null; // loaded on first use, so a missing file only breaks the task that needs it
+  }
+
+  async invoke(input) {
+    const fixture = this.loadFixture();
+    const { text, userTurns } = readInput(input, fixture.input);
+
+    for (const rule of fixture.rules || []) {
+      const match = text.match(new RegExp(rule.match, 'i'));
+      if (match) return reply(rule.response, match);
+    }
+
+    // Scripts follow the conversation: the Nth user turn gets the Nth line
+    if (fixture.script?.length && userTurns > 0) {
+      const line = fixture.script[Math.min(userTurns, fixture.script.length) - 1];
+      return reply(line, []);
+    }
+
+    if (fixture.default === undefined) {
+      throw new Error(`No scripted response for ${this.task} in ${this.model}.json`);
+    }
+    return reply(fixture.default, []);
+  }
+
+  loadFixture() {
+    if (!this.fixture) {
+      const path = join(process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR, `${this.model}.json`);
+      this.fixture = JSON.parse(readFileSync(path, 'utf8'));
+      console.log(`📼 Scripted ${this.task} responses from ${path}`);
+    }
+    return this.fixture;
+  }
+}
+
+// Chat messages are matched on the latest user message; text prompts on the whole prompt (or the "input" part of it)
+function readInput(input, inputPattern) {
+  if (Array.isArray(input)) {
+    const userMessages = input.filter(msg => msg.role === 'user');
+    return {
+      text: userMessages[userMessages.length - 1]?.content || '',
+      userTurns: userMessages.length
+    };
+  }
+
+  const prompt = String(input);
+  const picked = inputPattern ? prompt.match(new RegExp(inputPattern, 'i'))?.[1] : null;
+  return { text: picked ?? prompt, userTurns: 0 };
+}
+
+function reply(response, match) {
+  const filled = fill(response, match);
+  return new AIMessage(typeof filled === 'string' ? filled : JSON.stringify(filled));
+}
+
+// Swap $1, $2... for the rule's capture groups, inside strings and JSON alike
+function fill(value, match) {
+  if (typeof value === 'string') {
+    return value.replace(/\$(\d)/g, (_, group) => (match[group] || '').trim());
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => fill(item, match));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fill(item, match)]));
+  }
+  return value;
+}
@@ -1,27 +1,51 @@
 import { memory } from '../memory/memory.js';
 import { notionClient } from './notionClient.js';
 import { analyzeDayStructure, analyzeSession } from './llmReply.js';
+import { callRedialer } from './callRedialer.js';
+import { userDirectory, DEFAULT_USER_ID } from './userProfiles.js';
+import { sendSessionRecap } from './smsRecap.js';
+import { checkInScheduler } from './checkInScheduler.js';
 
 export class SessionManager {
   constructor(callSid) {
     this.callSid = callSid;
+    this.user = null; // Full profile with credentials - never persisted
     this.sessionData = {
+      userId: DEFAULT_USER_ID,
       startTime: new Date(),
       conversation: [],
       decisions: [],
+      commitments: [], // captured turn by turn - see commitmentTracker.js
+      insights: [],
       dayAnalysis: null,
       state: 'initial', // initial -> overview -> flow -> execution -> wrap -> ended
       isVoicemail: false, // NEW: Track if this was voicemail
-      sessionType: 'unknown' // NEW: Track session type early
+      sessionType: 'unknown', // NEW: Track session type early
+      callType: 'morning' // morning planning or evening reflection
     };
   }
   
+  // Attach the caller's profile so integrations use their own credentials
+  setUser(user) {
+    this.user = user;
+    this.sessionData.userId = user.userId;
+    this.sessionData.displayName = user.displayName || null;
+    this.sessionData.phoneNumber = user.phoneNumber || this.sessionData.phoneNumber;
+    this.sessionData.timezone = user.timezone;
+  }
+  
+  getUser() {
+    return this.user || userDirectory.getDefaultProfile();
+  }
+  
   // NEW: Mark session as voicemail early
-  markAsVoicemail() {
+  markAsVoicemail(answeredBy = null) {
     console.log('🤖 Marking session as voicemail');
     this.sessionData.isVoicemail = true;
     this.sessionData.sessionType = 'voicemail';
-    this.sessionData.state = 'ended'; // Mark as ended immediately
+    this.sessionData.answeredBy = answeredBy;
+    // Not 'ended' - endSession still needs to run to log the attempt
+    this.sessionData.state = 'voicemail';
   }
   
   // Feature 1: Day Overview Analysis
@@ -83,6 +107,51 @@ export class SessionManager {
     });
   }
   
+  // Record a commitment as it's made; a later mention of the same task updates it
+  // { task, timeframe, startTime, endTime, duration, linkedItem: { source, id, title } }
+  addCommitment(commitment) {
+    const key = commitment.task.toLowerCase();
+    const existing = this.sessionData.commitments.find(c =>
+      c.task.toLowerCase() === key ||
+      (commitment.linkedItem && c.linkedItem?.id === commitment.linkedItem.id)
+    );
+    
+    if (existing) {
+      // Only overwrite what this mention actually said
+      Object.entries(commitment).forEach(([field, value]) => {
+        if (value !== null && value !== undefined) existing[field] = value;
+      });
+      existing.updatedAt = new Date();
+      return existing;
+    }
+    
+    const added = {
+      timeframe: null,
+      startTime: null,
+      endTime: null,
+      duration: null,
+      linkedItem: null,
+      ...commitment,
+      createdAt: new Date(),
+      state: this.sessionData.state
+    };
+    this.sessionData.commitments.push(added);
+    return added;
+  }
+  
+  // Patterns worth remembering across sessions (energy, planning style)
+  addInsight(category, value) {
+    const seen = this.sessionData.insights.some(i => i.category === category && i.value === value);
+    if (seen) return;
+    
+    this.sessionData.insights.push({
+      timestamp: new Date(),
+      category,
+      value,
+      state: this.sessionData.state
+    });
+  }
+  
   setState(newState) {
     console.log(`🔄 Session state: ${this.sessionData.state} → ${newState}`);
     this.sessionData.state = newState;
@@ -174,12 +243,25 @@ export class SessionManager {
         sessionAnalysis = this.createMinimalSessionAnalysis(userMessages);
       }
       
+      // What they committed to during the call beats what the analysis reads back out of the transcript
+      if (!this.sessionData.isVoicemail) {
+        sessionAnalysis = this.applyCapturedCommitments(sessionAnalysis);
+      }
+      
+      // Every dial it took to reach them, including unanswered redials
+      let callAttempts = [];
+      try {
+        callAttempts = await callRedialer.getAttempts(this.sessionData.callChainId);
+      } catch (attemptsError) {
+        console.error('❌ Could not load call attempts:', attemptsError);
+      }
+      
       const sessionRecord = {
         ...this.sessionData,
+        callAttempts,
         endTime: new Date(),
         duration: Math.floor((new Date() - this.sessionData.startTime) / 60000), // minutes
         sessionAnalysis,
-        userId: 'defaultUser',
         callSid: this.callSid
       };
       
@@ -201,8 +283,9 @@ export class SessionManager {
         return sessionRecord; // RETURN EARLY - don't log to Notion at all
       }
       
-      // Only log to Notion for real conversations
-      if (process.env.NOTION_LOGS_DB_ID && process.env.NOTION_API_KEY) {
+      // Only log to Notion for real conversations, in the caller's own workspace
+      const notion = notionClient.forUser(this.getUser());
+      if (notion.logsDatabaseId && notion.apiKey) {
         try {
           console.log('💾 Attempting to save to Notion...');
           
@@ -210,12 +293,13 @@ export class SessionManager {
             summary: this.generateSessionSummary(sessionAnalysis),
             goals: this.extractGoalsFromAnalysis(sessionAnalysis),
             mood: this.extractMoodFromAnalysis(sessionAnalysis.mood_energy),
-            duration: sessionRecord.duration
+            duration: sessionRecord.duration,
+            callType: this.sessionData.callType
           };
           
           console.log('📋 Notion data prepared:', notionData);
           
-          const notionResult = await notionClient.logMorningSession(process.env.NOTION_LOGS_DB_ID, notionData);
+          const notionResult = await notion.logMorningSession(notion.logsDatabaseId, notionData);
           
           if (notionResult && notionResult.id) {
             console.log('✅ Successfully saved to Notion:', notionResult.id);
@@ -230,9 +314,15 @@ export class SessionManager {
           }
         }
       } else {
-        console.log('⚠️ Notion not configured (missing NOTION_LOGS_DB_ID or NOTION_API_KEY)');
+        console.log(`⚠️ Notion not configured for ${this.sessionData.userId} (missing logs database or API key)`);
       }
       
+      // Text the agreed plan back if this user opted in
+      await sendSessionRecap(sessionRecord, this.getUser());
+      
+      // Follow up on commitments that came with a concrete time
+      await checkInScheduler.scheduleForSession(sessionRecord, this.getUser());
+      
       console.log('✅ Session ending process complete');
       return sessionRecord;
       
@@ -253,6 +343,28 @@ export class SessionManager {
     }
   }
   
+  // Swap in the commitments captured turn by turn (keeps the analysis' mood/outcome)
+  applyCapturedCommitments(analysis) {
+    const captured = this.sessionData.commitments;
+    if (!captured.length) {
+      return { ...analysis, commitmentSource: 'analysis' };
+    }
+    
+    console.log(`📌 Using ${captured.length} commitments captured during the call`);
+    return {
+      ...analysis,
+      commitments: captured.map(c => ({
+        task: c.task,
+        timeframe: c.timeframe,
+        startTime: c.startTime,
+        endTime: c.endTime,
+        duration: c.duration,
+        linkedItem: c.linkedItem
+      })),
+      commitmentSource: 'captured'
+    };
+  }
+  
   // **NEW**: Specific analysis for voicemail sessions
   createVoicemailAnalysis() {
     return {
@@ -338,6 +450,7 @@ export class SessionManager {
       
       return await memory.find({
         type: 'enhanced_coaching_session',
+        userId: this.sessionData.userId,
         startTime: { $gte: since }
       }).sort({ startTime: -1 }).toArray();
       
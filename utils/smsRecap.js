@@ -0,0 +1,109 @@
+// utils/smsRecap.js - Short text recap of the plan once a session ends
+import { twilioClient } from './twilioClient.js';
+import { formatTime } from './formatTime.js';
+import { TWILIO_PHONE_NUMBER } from '../config.js';
+
+const DEFAULT_MAX_LENGTH = 320; // Two SMS segments
+
+// Placeholder commitments the fallback analyses add (sessionManager, llmReply) - nothing worth texting
+// Matched as whole tasks so a real one like "send the check-in email" still counts
+export const PLACEHOLDER_PATTERN = /^(Quick morning check-in|Morning check-in (attempted|completed)|Voicemail answering machine response detected|VOICEMAIL\b.*|No meaningful\b.*|Time commitment: .*)$/i;
+
+export function buildRecap(sessionRecord, { timezone } = {}) {
+  const commitments = (sessionRecord.sessionAnalysis?.commitments || [])
+    .filter(c => c.task && !PLACEHOLDER_PATTERN.test(c.task));
+  
+  const now = new Date();
+  const nextEvent = (sessionRecord.todaysPlan?.events || [])
+    .filter(e => new Date(e.start) > now)
+    .sort((a, b) => new Date(a.start) - new Date(b.start))[0];
+  
+  if (commitments.length === 0 && !nextEvent) {
+    return null;
+  }
+  
+  const lines = [sessionRecord.callType === 'evening' ? 'Carrying over to tomorrow:' : 'Your plan for today:'];
+  
+  commitments.forEach(c => {
+    const timing = c.timeframe && !/^(session|immediate|n\/a)/i.test(c.timeframe) ? ` (${c.timeframe})`
+      : c.duration ? ` (${c.duration} min)` : '';
+    lines.push(`- ${c.task}${timing}`);
+  });
+  
+  if (nextEvent) {
+    lines.push(`Next on your calendar: ${nextEvent.title} at ${formatTime(nextEvent.start, timezone)}`);
+  }
+  
+  return lines.join('\n');
+}
+
+// Split on line breaks first, then words, so no commitment is cut mid-word
+export function splitRecap(text, maxLength = DEFAULT_MAX_LENGTH) {
+  if (text.length <= maxLength) return [text];
+  
+  // Leave room for the " (1/3)" counter
+  const limit = maxLength - 8;
+  const pieces = text.split('\n').flatMap(line => {
+    if (line.length <= limit) return [line];
+    return line.split(/\s+/).filter(Boolean).reduce((chunks, word) => {
+      const last = chunks[chunks.length - 1];
+      if (last !== undefined && `${last} ${word}`.length <= limit) {
+        chunks[chunks.length - 1] = `${last} ${word}`;
+      } else {
+        chunks.push(word.slice(0, limit));
+      }
+      return chunks;
+    }, []);
+  });
+  
+  const messages = pieces.reduce((acc, piece) => {
+    const last = acc[acc.length - 1];
+    if (last !== undefined && `${last}\n${piece}`.length <= limit) {
+      acc[acc.length - 1] = `${last}\n${piece}`;
+    } else {
+      acc.push(piece);
+    }
+    return acc;
+  }, []);
+  
+  return messages.map((message, i) => `${message} (${i + 1}/${messages.length})`);
+}
+
+// Opt-in per user via their profile's smsRecap settings
+export async function sendSessionRecap(sessionRecord, user) {
+  try {
+    if (!user?.smsRecap?.enabled) {
+      console.log(`📵 SMS recap not enabled for ${sessionRecord.userId}`);
+      return [];
+    }
+    
+    const to = user.phoneNumber || sessionRecord.phoneNumber;
+    if (!to) {
+      console.log('⚠️ No phone number for SMS recap, skipping');
+      return [];
+    }
+    
+    const recap = buildRecap(sessionRecord, { timezone: user.timezone });
+    if (!recap) {
+      console.log('📵 Nothing worth recapping, skipping SMS');
+      return [];
+    }
+    
+    const maxLength = user.smsRecap.maxLength || Number(process.env.SMS_RECAP_MAX_LENGTH) || DEFAULT_MAX_LENGTH;
+    const messages = splitRecap(recap, maxLength);
+    
+    // Send in order so the parts arrive 1/2, 2/2
+    const sent = [];
+    for (const body of messages) {
+      const message = await twilioClient.messages.create({ to, from: TWILIO_PHONE_NUMBER, body });
+      sent.push(message.sid);
+    }
+    
+    console.log(`📨 Sent ${sent.length}-part SMS recap to ${to}`);
+    return sent;
+    
+  } catch (error) {
+    console.error('❌ SMS recap failed:', error);
+    return [];
+  }
+}
@@ -0,0 +1,89 @@
+// utils/smsSessions.js - Text-message planning sessions, keyed by phone number
+import { endSession } from './sessionManager.js';
+import { ctx } from '../memory/context.js';
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class SmsSessionManager {
+  constructor() {
+    this.conversations = new Map(); // phone number -> { sessionId, lastActivity }
+    this.timer = null;
+  }
+
+  get timeoutMinutes() {
+    return Number(process.env.SMS_SESSION_TIMEOUT_MINUTES || 30);
+  }
+
+  // Periodically close conversations that went quiet so they still get logged
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  isExpired(conversation, now = new Date()) {
+    return now - conversation.lastActivity > this.timeoutMinutes * 60 * 1000;
+  }
+
+  // The live session for this number, or null if there isn't one (or it timed out)
+  async getActive(phoneNumber) {
+    const conversation = this.conversations.get(phoneNumber);
+    if (!conversation) return null;
+
+    if (this.isExpired(conversation)) {
+      await this.end(phoneNumber);
+      return null;
+    }
+
+    return conversation.sessionId;
+  }
+
+  open(phoneNumber) {
+    const sessionId = `SMS-${phoneNumber.replace(/\D/g, '')}-${Date.now()}`;
+    this.conversations.set(phoneNumber, { sessionId, lastActivity: new Date() });
+    return sessionId;
+  }
+
+  touch(phoneNumber) {
+    const conversation = this.conversations.get(phoneNumber);
+    if (conversation) {
+      conversation.lastActivity = new Date();
+    }
+  }
+
+  // Same Mongo and Notion logging as a finished voice call
+  async end(phoneNumber) {
+    const conversation = this.conversations.get(phoneNumber);
+    if (!conversation) return null;
+
+    this.conversations.delete(phoneNumber);
+    console.log(`💬 Ending SMS planning session ${conversation.sessionId}`);
+
+    try {
+      const result = await endSession(conversation.sessionId);
+      ctx.delete(conversation.sessionId);
+      return result;
+    } catch (error) {
+      console.error('❌ Failed to end SMS session:', error);
+      return null;
+    }
+  }
+
+  async sweep() {
+    const now = new Date();
+    for (const [phoneNumber, conversation] of this.conversations) {
+      if (this.isExpired(conversation, now)) {
+        await this.end(phoneNumber);
+      }
+    }
+  }
+}
+
+export const smsSessions = new SmsSessionManager();
@@ -0,0 +1,102 @@
+// utils/structuredOutput.js - Ask an LLM task for JSON, validate it against a zod schema, repair if it's off
+import { StructuredOutputParser } from "langchain/output_parsers";
+import { llmProviders } from './llmProviders.js';
+
+const RECENT_CALLS = 50;
+const recentCalls = []; // newest last: { task, label, attempts, ok, at }
+
+// The "return this exact JSON structure" text for a prompt
+export function formatInstructions(schema) {
+  return StructuredOutputParser.fromZodSchema(schema).getFormatInstructions();
+}
+
+// Returns the validated object, or `fallback()` once the repairs run out
+// An invalid reply gets up to `repairs` more tries (default LLM_REPAIR_RETRIES, 1), each shown what was wrong
+// A failed call (network, every provider down) goes straight to the fallback - a repair wouldn't help
+export async function invokeStructured({ task, schema, prompt, fallback, label = task, repairs = Number(process.env.LLM_REPAIR_RETRIES ?? 1) }) {
+  let attempts = 0;
+  let currentPrompt = prompt;
+
+  try {
+    while (attempts <= repairs) {
+      attempts += 1;
+      const response = await llmProviders.getModel(task).invoke(currentPrompt);
+      const content = String(response.content);
+      const { data, problems } = validate(content, schema);
+
+      if (data) {
+        record(task, label, attempts, true);
+        if (attempts > 1) console.log(`🩹 ${label} valid after ${attempts} attempts`);
+        return data;
+      }
+
+      console.log(`⚠️ ${label} attempt ${attempts} invalid: ${problems.join('; ')}`);
+      currentPrompt = buildRepairPrompt(prompt, content, problems);
+    }
+  } catch (error) {
+    console.error(`❌ ${label} call failed:`, error.message);
+  }
+
+  record(task, label, attempts, false);
+  console.log(`🔄 Using fallback for ${label} after ${attempts} attempts`);
+  return typeof fallback === 'function' ? fallback() : fallback;
+}
+
+// Models like to wrap JSON in markdown or chat around it - take the outermost object
+export function extractJson(content) {
+  const cleaned = content.trim().replace(/```json\n?/g, '').replace(/```\n?/g, '');
+  return cleaned.match(/\{[\s\S]*\}/)?.[0] || cleaned;
+}
+
+function validate(content, schema) {
+  let parsed;
+  try {
+    parsed = JSON.parse(extractJson(content));
+  } catch (error) {
+    return { data: null, problems: [`not valid JSON (${error.message})`] };
+  }
+
+  const result = schema.safeParse(parsed);
+  if (result.success) return { data: result.data, problems: [] };
+
+  return {
+    data: null,
+    problems: result.error.issues.map(issue => `${issue.path.join('.') || 'root'}: ${issue.message}`)
+  };
+}
+
+function buildRepairPrompt(prompt, content, problems) {
+  return `${prompt}
+
+Your previous reply was:
+${content}
+
+It was rejected because:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+Reply again with ONLY the corrected JSON object, no additional text or explanation.`;
+}
+
+function record(task, label, attempts, ok) {
+  recentCalls.push({ task, label, attempts, ok, at: new Date() });
+  if (recentCalls.length > RECENT_CALLS) recentCalls.shift();
+}
+
+// For /status - attempts per call lately, and how often the fallback was needed
+export function getStructuredOutputStats() {
+  const byLabel = {};
+  recentCalls.forEach(({ label, attempts, ok }) => {
+    const stats = byLabel[label] || (byLabel[label] = { calls: 0, attempts: 0, fallbacks: 0 });
+    stats.calls += 1;
+    stats.attempts += attempts;
+    if (!ok) stats.fallbacks += 1;
+  });
+
+  return {
+    byLabel: Object.fromEntries(Object.entries(byLabel).map(([label, stats]) => [
+      label,
+      { ...stats, averageAttempts: Math.round((stats.attempts / stats.calls) * 10) / 10 }
+    ])),
+    recent: recentCalls.slice(-10)
+  };
+}
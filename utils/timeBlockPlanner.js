@@ -0,0 +1,282 @@
+// utils/timeBlockPlanner.js - Turn the chosen priorities into time blocks around today's calendar
+import { DateTime } from 'luxon';
+import { calendarClient } from './calendarClient.js';
+import { interpretConfirmation } from './intentClassifier.js';
+import { skipToPhase } from './planningStateMachine.js';
+import { formatTime } from './formatTime.js';
+import { parseTimeframe } from './timeframeParser.js';
+import { DEFAULT_TIMEZONE } from '../config.js';
+
+const PLAN_REQUEST_PATTERN = /\b(plan (out )?my day|block (out )?(my |some )?time|time ?block|make (me )?a schedule|schedule (it|them|my day)|when should i do (it|them|these|those))\b/i;
+
+// Habitica's task "priority" is its difficulty: trivial 0.1, easy 1, medium 1.5, hard 2
+const MINUTES_BY_DIFFICULTY = { 0.1: 15, 1: 30, 1.5: 60, 2: 90 };
+const MINUTES_BY_LABEL = { trivial: 15, easy: 30, medium: 60, hard: 90 };
+const DEFAULT_BLOCK_MINUTES = 45;
+const DEFAULT_EVENT_MINUTES = 30;
+
+export function isPlanRequest(userInput) {
+  return PLAN_REQUEST_PATTERN.test(userInput);
+}
+
+// What we'd block time for, in priority order: explicit priorities, then other commitments
+// `stated` is the last thing they said about when to do a priority ("from 9 to 11am"), if anything
+export function getPlannableItems(session) {
+  const priorities = session.sessionData.planning?.captured?.priorities || [];
+  const timing = session.sessionData.planning?.captured?.timing || [];
+  const commitments = session.sessionData.commitments || [];
+  const habits = session.sessionData.todaysPlan?.habits || [];
+
+  const items = [];
+  const seen = new Set();
+  const add = (title, commitment, stated = null) => {
+    const key = (commitment?.linkedItem?.id || title).toLowerCase();
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    const habit = habits.find(h => h.id === commitment?.linkedItem?.id || h.text.toLowerCase() === title.toLowerCase());
+    items.push({ title: habit?.text || title, commitment, habit, stated });
+  };
+
+  priorities.forEach(priority => {
+    const commitment = commitments.find(c => c.task.toLowerCase() === priority.toLowerCase());
+    const stated = timing.filter(t => t.priority?.toLowerCase() === priority.toLowerCase()).pop()?.text || null;
+    add(priority, commitment, stated);
+  });
+  commitments
+    .filter(c => c.linkedItem?.source !== 'calendar') // already on the calendar
+    .forEach(c => add(c.task, c));
+
+  return items;
+}
+
+// Returns { blocks: [{ title, start, end, duration, fixed, linkedItem }], unscheduled: [title], moved: [{ title, requested, start, clash }] }
+// `moved` is anything we couldn't put at the time they asked for, so the proposal can say so
+export function planTimeBlocks(session, { now = new Date() } = {}) {
+  const timezone = session.sessionData.timezone || DEFAULT_TIMEZONE;
+  const local = DateTime.fromJSDate(now, { zone: timezone });
+  const buffer = Number(process.env.PLANNER_BUFFER_MINUTES || 5);
+
+  const dayStart = DateTime.max(atTime(local, process.env.PLANNER_DAY_START || '08:00'), roundUp(local, 15));
+  const dayEnd = atTime(local, process.env.PLANNER_DAY_END || '18:00');
+
+  // Calendar events are fixed; everything we place becomes busy too
+  const busy = (session.sessionData.todaysPlan?.events || [])
+    .filter(e => e.start && String(e.start).includes('T'))
+    .map(e => {
+      const start = DateTime.fromISO(e.start).setZone(timezone);
+      const end = e.end && String(e.end).includes('T')
+        ? DateTime.fromISO(e.end).setZone(timezone)
+        : start.plus({ minutes: DEFAULT_EVENT_MINUTES });
+      return { start, end, title: e.title };
+    });
+
+  const blocks = [];
+  const unscheduled = [];
+  const moved = [];
+
+  // Items with a time of their own go first, so a flexible one can't take their slot
+  const items = getPlannableItems(session)
+    .map(item => ({ item, ...requestedTime(item, { timezone, now }) }))
+    .sort((a, b) => Boolean(b.agreed) - Boolean(a.agreed));
+
+  for (const { item, agreed, minutes } of items) {
+    let slot = null;
+
+    // Keep a time they agreed to or stated, if it's still free
+    const clash = agreed && agreed >= local ? busy.find(interval => !isFree([interval], agreed, agreed.plus({ minutes }))) : null;
+    if (agreed && agreed >= local && !clash) {
+      slot = agreed;
+    } else {
+      slot = findGap(busy, dayStart, dayEnd, minutes, buffer);
+    }
+
+    if (!slot) {
+      unscheduled.push(item.title);
+      continue;
+    }
+
+    if (clash) {
+      moved.push({ title: item.title, requested: agreed.toJSDate(), start: slot.toJSDate(), clash: clash.title || 'something else' });
+    }
+
+    const end = slot.plus({ minutes });
+    busy.push({ start: slot, end, title: item.title });
+    blocks.push({
+      title: item.title,
+      start: slot.toJSDate(),
+      end: end.toJSDate(),
+      duration: minutes,
+      fixed: slot === agreed,
+      linkedItem: item.commitment?.linkedItem || (item.habit ? { source: 'habitica', id: item.habit.id, title: item.habit.text } : null)
+    });
+  }
+
+  blocks.sort((a, b) => a.start - b.start);
+  return { blocks, unscheduled, moved };
+}
+
+// The start they agreed to (a commitment) or said out loud ("the report from 9 to 11"), and how long
+function requestedTime(item, { timezone, now }) {
+  // "for an hour" parses as starting now - that's how long, not when
+  const window = item.stated ? parseTimeframe(item.stated, { timezone, now }) : null;
+  const statedStart = window?.start && window.start.getTime() !== now.getTime() ? window.start : null;
+  const statedMinutes = window?.start ? Math.round((window.end - window.start) / 60000) : 0;
+
+  const start = item.commitment?.startTime || statedStart;
+  return {
+    agreed: start ? DateTime.fromJSDate(new Date(start)).setZone(timezone) : null,
+    minutes: !item.commitment?.duration && statedMinutes > 0 ? statedMinutes : blockMinutes(item)
+  };
+}
+
+// Stated durations win, then Habitica difficulty, then a default
+function blockMinutes({ commitment, habit }) {
+  if (commitment?.duration) return commitment.duration;
+  if (habit) {
+    return MINUTES_BY_DIFFICULTY[habit.priority] || MINUTES_BY_LABEL[habit.difficulty] || DEFAULT_BLOCK_MINUTES;
+  }
+  return DEFAULT_BLOCK_MINUTES;
+}
+
+function findGap(busy, dayStart, dayEnd, minutes, buffer) {
+  const sorted = [...busy].sort((a, b) => a.start - b.start);
+  let cursor = dayStart;
+
+  for (const interval of sorted) {
+    if (interval.end <= cursor) continue;
+    if (interval.start.diff(cursor, 'minutes').minutes >= minutes + buffer) {
+      return cursor;
+    }
+    cursor = DateTime.max(cursor, interval.end.plus({ minutes: buffer }));
+  }
+
+  return dayEnd.diff(cursor, 'minutes').minutes >= minutes ? cursor : null;
+}
+
+function isFree(busy, start, end) {
+  return busy.every(interval => interval.end <= start || interval.start >= end);
+}
+
+function atTime(local, time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return local.set({ hour, minute, second: 0, millisecond: 0 });
+}
+
+function roundUp(local, step) {
+  const minutes = Math.ceil((local.minute + local.second / 60) / step) * step;
+  return local.set({ minute: 0, second: 0, millisecond: 0 }).plus({ minutes });
+}
+
+// Propose a plan and wait for their answer on the next turn
+export function proposeTimeBlocks(session) {
+  const timezone = session.sessionData.timezone || DEFAULT_TIMEZONE;
+
+  if (getPlannableItems(session).length === 0) {
+    return "Tell me your top priorities first, and I'll block out time for them.";
+  }
+
+  const { blocks, unscheduled, moved } = planTimeBlocks(session);
+  if (blocks.length === 0) {
+    return "Your day's too full to fit anything else in. Want to drop or move something?";
+  }
+
+  session.sessionData.timeBlocks = { status: 'proposed', awaiting: 'approval', blocks, unscheduled, moved, proposedAt: new Date() };
+  console.log(`🧱 Proposed ${blocks.length} time blocks (${unscheduled.length} didn't fit)`);
+
+  const plan = blocks.map(b => `${b.title} from ${formatTime(b.start.toISOString(), timezone)} to ${formatTime(b.end.toISOString(), timezone)}`).join(', ');
+  const leftover = unscheduled.length > 0 ? ` I couldn't fit ${unscheduled.join(' or ')}.` : '';
+  const clashes = moved.map(m => ` You wanted ${m.title} at ${formatTime(m.requested.toISOString(), timezone)}, but that runs into ${m.clash}, so I moved it to ${formatTime(m.start.toISOString(), timezone)}.`).join('');
+  return `Here's a plan: ${plan}.${clashes}${leftover} Does that work?`;
+}
+
+// Runs before the normal planning turn while a proposal is waiting on an answer
+// `signal` stops the calendar writes partway if the caller stopped waiting for this turn
+export async function handleTimeBlockAnswer(userInput, session, { signal } = {}) {
+  const timeBlocks = session.sessionData.timeBlocks;
+  if (!timeBlocks?.awaiting) return null;
+
+  const awaiting = timeBlocks.awaiting;
+  timeBlocks.awaiting = null;
+  const answer = interpretConfirmation(userInput);
+
+  if (awaiting === 'approval') {
+    if (answer === true) return approve(session);
+    if (answer === false) {
+      timeBlocks.status = 'declined';
+      session.addDecision('Time block plan declined', { type: 'time_blocks', status: 'declined' });
+      return "No problem. What would you change?";
+    }
+    // Something else - most likely a tweak, which the normal conversation handles
+    return null;
+  }
+
+  if (awaiting === 'calendar') {
+    if (answer === true) return await writeToCalendar(session, { signal });
+    if (answer === false) return "Okay, I'll keep it off your calendar. You're all set.";
+    return null;
+  }
+
+  return null;
+}
+
+function approve(session) {
+  const timeBlocks = session.sessionData.timeBlocks;
+  const timezone = session.sessionData.timezone || DEFAULT_TIMEZONE;
+  timeBlocks.status = 'approved';
+  timeBlocks.approvedAt = new Date();
+
+  // Approved blocks are the commitments from here on (recap, check-ins, Notion)
+  timeBlocks.blocks.forEach(block => {
+    session.addCommitment({
+      task: block.title,
+      linkedItem: block.linkedItem,
+      timeframe: `${formatTime(block.start.toISOString(), timezone)} to ${formatTime(block.end.toISOString(), timezone)}`,
+      startTime: block.start,
+      endTime: block.end,
+      duration: block.duration
+    });
+  });
+
+  session.addDecision('Time block plan approved', { type: 'time_blocks', status: 'approved', blocks: timeBlocks.blocks });
+
+  if (session.sessionData.planning) {
+    session.sessionData.planning.captured.confirmed = true;
+    skipToPhase(session, 'close', 'plan_approved');
+  }
+
+  if (calendarClient.forUser(session.getUser()).accessToken) {
+    timeBlocks.awaiting = 'calendar';
+    return 'Great, it\'s locked in. Want me to put those blocks on your calendar?';
+  }
+
+  return "Great, it's locked in. You've got a clear plan for the day.";
+}
+
+async function writeToCalendar(session, { signal } = {}) {
+  const timeBlocks = session.sessionData.timeBlocks;
+  const calendar = calendarClient.forUser(session.getUser());
+
+  const results = [];
+  for (const block of timeBlocks.blocks) {
+    if (signal?.aborted) break;
+    const event = await calendar.addEventAt({ title: block.title, start: block.start, end: block.end, description: 'Time block from your planning call' });
+    block.calendarEventId = event?.id || null;
+    results.push(Boolean(event?.id));
+  }
+
+  const added = results.filter(Boolean).length;
+  timeBlocks.status = added > 0 ? 'written' : timeBlocks.status;
+  session.addDecision('Write time blocks to calendar', {
+    type: 'time_blocks',
+    status: added === results.length ? 'succeeded' : added > 0 ? 'partial' : 'failed',
+    added,
+    total: results.length
+  });
+
+  console.log(`📅 Wrote ${added}/${results.length} time blocks to the calendar`);
+
+  if (added === results.length) return "Done, they're all on your calendar. Have a great day!";
+  if (added > 0) return `I added ${added} of ${results.length} blocks - the rest didn't go through, so you may want to add those yourself.`;
+  return "Sorry, I couldn't reach your calendar. The plan still stands, you'll just need to add the blocks yourself.";
+}
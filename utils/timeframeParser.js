@@ -0,0 +1,107 @@
+// utils/timeframeParser.js - Turn free-text commitment timeframes ("9-11am", "after lunch") into real times
+import { DateTime } from 'luxon';
+import { DEFAULT_TIMEZONE } from '../config.js';
+
+// Rough windows for the vaguer phrases people use, in local time
+const NAMED_PERIODS = [
+  { pattern: /\bbefore lunch\b/, start: '09:00', end: '12:00' },
+  { pattern: /\bafter lunch\b/, start: '13:00', end: '15:00' },
+  { pattern: /\b(over |at )?lunch\b/, start: '12:00', end: '13:00' },
+  { pattern: /\b(end of (the )?(work ?)?day|eod|after work)\b/, start: '16:00', end: '17:30' },
+  { pattern: /\b(this )?morning\b/, start: '09:00', end: '12:00' },
+  { pattern: /\b(this )?afternoon\b/, start: '13:00', end: '17:00' },
+  { pattern: /\b((this )?evening|tonight)\b/, start: '18:00', end: '21:00' }
+];
+
+// Timeframes the analysis uses when nothing concrete was agreed, and anything meant for tomorrow
+const UNSCHEDULED_PATTERN = /^(session|session duration|immediate|n\/a|today|ongoing|this week)$|\btomorrow\b/i;
+
+const TIME = '(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm|a\\.m\\.|p\\.m\\.)?';
+const RANGE_PATTERN = new RegExp(`${TIME}\\s*(?:-|–|to|until|till)\\s*${TIME}`);
+// "by 4pm" beats a bare leading number, so "5 items by 4pm" isn't read as 5 o'clock
+const ANCHORED_PATTERN = new RegExp(`\\b(by|at|before|around|until|till|from)\\s+${TIME}(?=\\s|$|[,.])`);
+const BARE_PATTERN = new RegExp(`^()${TIME}(?=\\s|$|[,.])`);
+const DURATION_UNIT_PATTERN = /^\s*(hours?|hrs?|minutes?|mins?)\b/;
+const DURATION_PATTERN = /\b(?:in|within|next|for)?\s*(\d+(?:\.\d+)?|an?|half an?)\s*(hours?|hrs?|minutes?|mins?)\b/;
+
+// Returns { start, end } as Dates for today in the given zone, or null if there's no concrete time
+// `start` is null when only a deadline was given ("by 3pm")
+export function parseTimeframe(timeframe, { timezone = DEFAULT_TIMEZONE, now = new Date() } = {}) {
+  if (!timeframe || typeof timeframe !== 'string') return null;
+
+  const text = timeframe.trim().toLowerCase();
+  if (!text || UNSCHEDULED_PATTERN.test(text)) return null;
+
+  const local = DateTime.fromJSDate(now, { zone: timezone });
+  const at = (hour, minute = 0) => local.set({ hour, minute, second: 0, millisecond: 0 });
+
+  if (/\bnoon\b/.test(text)) {
+    return toResult(null, at(12));
+  }
+
+  // "1-2 hours" is a duration, not 1pm to 2pm
+  const range = text.match(RANGE_PATTERN);
+  const isDurationRange = range && !range[6] && DURATION_UNIT_PATTERN.test(text.slice(range.index + range[0].length));
+  if (range && !isDurationRange) {
+    const endMeridiem = normalizeMeridiem(range[6]);
+    const startMeridiem = normalizeMeridiem(range[3]) || endMeridiem;
+    let startHour = toHour24(Number(range[1]), startMeridiem);
+    const endHour = toHour24(Number(range[4]), endMeridiem);
+
+    // "11-1pm" means 11am to 1pm, not 11pm
+    if (!range[3] && startHour > endHour && startHour >= 12) {
+      startHour -= 12;
+    }
+
+    return toResult(at(startHour, Number(range[2] || 0)), at(endHour, Number(range[5] || 0)));
+  }
+
+  const minutes = parseDuration(text);
+  if (minutes !== null) {
+    return toResult(local, local.plus({ minutes }));
+  }
+
+  // A bare number only counts as a time with am/pm or minutes ("3:30 works")
+  const bare = text.match(BARE_PATTERN);
+  const single = text.match(ANCHORED_PATTERN) || (bare && (bare[3] || bare[4]) ? bare : null);
+  if (single) {
+    const time = at(toHour24(Number(single[2]), normalizeMeridiem(single[4])), Number(single[3] || 0));
+    // "from 2pm" is a start time; everything else reads as a deadline
+    return single[1] === 'from' ? toResult(time, time.plus({ hours: 1 })) : toResult(null, time);
+  }
+
+  const period = NAMED_PERIODS.find(({ pattern }) => pattern.test(text));
+  if (period) {
+    const [startHour, startMinute] = period.start.split(':').map(Number);
+    const [endHour, endMinute] = period.end.split(':').map(Number);
+    return toResult(at(startHour, startMinute), at(endHour, endMinute));
+  }
+
+  return null;
+}
+
+// "45 minutes", "an hour", "for 1.5 hrs" -> minutes, or null
+export function parseDuration(text) {
+  const duration = text?.toLowerCase().match(DURATION_PATTERN);
+  if (!duration) return null;
+
+  const amount = /^half/.test(duration[1]) ? 0.5 : /^an?$/.test(duration[1]) ? 1 : Number(duration[1]);
+  return /^h/.test(duration[2]) ? amount * 60 : amount;
+}
+
+function normalizeMeridiem(meridiem) {
+  if (!meridiem) return null;
+  return meridiem.startsWith('p') ? 'pm' : 'am';
+}
+
+// Without am/pm, 1-6 are assumed to be afternoon - nobody commits to 3am
+function toHour24(hour, meridiem) {
+  if (meridiem === 'pm') return hour < 12 ? hour + 12 : hour;
+  if (meridiem === 'am') return hour === 12 ? 0 : hour;
+  return hour >= 1 && hour <= 6 ? hour + 12 : hour;
+}
+
+function toResult(start, end) {
+  if (!end.isValid || (start && !start.isValid)) return null;
+  return { start: start ? start.toJSDate() : null, end: end.toJSDate() };
+}
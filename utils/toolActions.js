@@ -0,0 +1,82 @@
+// utils/toolActions.js - Run the ADD_TASK / ADD_EVENT tool calls the coach makes mid-conversation
+import { notionClient } from './notionClient.js';
+import { calendarClient } from './calendarClient.js';
+import { formatTime } from './formatTime.js';
+
+// Returns { ok, message } where message is what we tell the user either way
+export async function executeToolCall(toolCall, session) {
+  const user = session.getUser();
+
+  let outcome;
+  try {
+    switch (toolCall.action) {
+      case 'add_task':
+        outcome = await addTask(toolCall, user);
+        break;
+
+      case 'add_event':
+        outcome = await addEvent(toolCall, user);
+        break;
+
+      default:
+        outcome = { ok: false, message: "I'm not able to do that one yet.", error: `Unknown action ${toolCall.action}` };
+    }
+  } catch (error) {
+    console.error(`❌ Tool call ${toolCall.action} failed:`, error);
+    outcome = { ok: false, message: "Sorry, that didn't go through. You may want to add it yourself later.", error: error.message };
+  }
+
+  console.log(`${outcome.ok ? '🛠️' : '⚠️'} ${toolCall.action}: ${outcome.message}`);
+
+  // Every attempted action is part of the record, including the ones that failed
+  session.addDecision(describe(toolCall), {
+    type: 'tool_call',
+    action: toolCall.action,
+    status: outcome.ok ? 'succeeded' : 'failed',
+    task: toolCall.task,
+    title: toolCall.title,
+    time: toolCall.time,
+    externalId: outcome.externalId || null,
+    error: outcome.error || null
+  });
+
+  return outcome;
+}
+
+async function addTask({ task }, user) {
+  const notion = notionClient.forUser(user);
+
+  if (!notion.apiKey || !notion.tasksDatabaseId) {
+    return { ok: false, message: "I couldn't add that - your task list isn't connected yet.", error: 'Notion tasks database not configured' };
+  }
+
+  const result = await notion.addTask(notion.tasksDatabaseId, { title: task });
+  if (!result?.id) {
+    return { ok: false, message: `Sorry, I couldn't add "${task}" to your tasks. You may want to add it yourself later.`, error: 'Notion rejected the task' };
+  }
+
+  return { ok: true, message: `Done, "${task}" is on your task list.`, externalId: result.id };
+}
+
+async function addEvent({ title, time }, user) {
+  const calendar = calendarClient.forUser(user);
+
+  if (!calendar.accessToken) {
+    return { ok: false, message: "I couldn't add that - your calendar isn't connected yet.", error: 'Calendar access token not configured' };
+  }
+
+  const result = await calendar.addEvent({ title, time });
+  if (!result?.id) {
+    return { ok: false, message: `Sorry, I couldn't put "${title}" on your calendar. You may want to add it yourself later.`, error: 'Calendar rejected the event' };
+  }
+
+  const start = result.start?.dateTime;
+  const when = start ? ` at ${formatTime(start, calendar.timeZone)}` : '';
+  return { ok: true, message: `Done, "${title}" is on your calendar${when}.`, externalId: result.id };
+}
+
+function describe({ action, task, title, time }) {
+  return action === 'add_task'
+    ? `Add task: ${task}`
+    : `Add calendar event: ${title} (${time})`;
+}
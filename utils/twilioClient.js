@@ -0,0 +1,5 @@
+// utils/twilioClient.js - Shared Twilio REST client
+import Twilio from 'twilio';
+import { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN } from '../config.js';
+
+export const twilioClient = Twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
@@ -0,0 +1,329 @@
+// utils/userProfiles.js - Per-person profiles and integration credentials, keyed by phone number
+import { ObjectId } from 'mongodb';
+import { DateTime } from 'luxon';
+import { users } from '../mongoClient.js';
+import { DEFAULT_TIMEZONE } from '../config.js';
+
+export const DEFAULT_USER_ID = 'defaultUser';
+
+// Twilio sends E.164 (+15551234567); people type whatever they like
+export function normalizePhone(phoneNumber) {
+  if (!phoneNumber) return null;
+
+  const digits = String(phoneNumber).replace(/\D/g, '');
+  if (!digits) return null;
+
+  if (String(phoneNumber).trim().startsWith('+')) return `+${digits}`;
+  if (digits.length === 10) return `+1${digits}`; // Assume US numbers without a country code
+  return `+${digits}`;
+}
+
+class UserDirectory {
+  // Single-user deployments keep working off the original env vars
+  getDefaultProfile() {
+    return {
+      userId: DEFAULT_USER_ID,
+      phoneNumber: normalizePhone(process.env.DEFAULT_USER_PHONE),
+      displayName: process.env.DEFAULT_USER_NAME || null,
+      timezone: DEFAULT_TIMEZONE,
+      habitica: {
+        userId: process.env.HABITICA_USER_ID,
+        apiToken: process.env.HABITICA_API_TOKEN
+      },
+      notion: {
+        apiKey: process.env.NOTION_API_KEY,
+        logsDatabaseId: process.env.NOTION_LOGS_DB_ID,
+        tasksDatabaseId: process.env.NOTION_TASKS_DB_ID
+      },
+      calendar: {
+        eventsEndpoint: process.env.EVENTS_ENDPOINT,
+        accessToken: process.env.GOOGLE_CALENDAR_ACCESS_TOKEN,
+        calendarId: process.env.GOOGLE_CALENDAR_ID || 'primary'
+      },
+      smsRecap: {
+        enabled: process.env.SMS_RECAP_ENABLED === 'true'
+      },
+      checkIns: {
+        enabled: process.env.CHECK_INS_ENABLED === 'true',
+        channel: process.env.CHECK_IN_CHANNEL || 'sms'
+      },
+      isDefault: true
+    };
+  }
+
+  // Known users only - returns null for numbers we don't recognize
+  async getByPhone(phoneNumber) {
+    const phone = normalizePhone(phoneNumber);
+    if (!phone) return null;
+
+    try {
+      const doc = await users.findOne({ phoneNumber: phone });
+      if (doc) return toProfile(doc);
+    } catch (error) {
+      console.error('❌ User lookup failed:', error);
+    }
+
+    const fallback = this.getDefaultProfile();
+    return fallback.phoneNumber === phone ? fallback : null;
+  }
+
+  // Someone we have no profile for - the call still works, but reads and writes nobody's accounts
+  getGuestProfile(phoneNumber) {
+    const phone = normalizePhone(phoneNumber);
+    return {
+      userId: `guest:${phone}`,
+      phoneNumber: phone,
+      displayName: null,
+      timezone: DEFAULT_TIMEZONE,
+      habitica: { userId: null, apiToken: null },
+      notion: { apiKey: null, logsDatabaseId: null, tasksDatabaseId: null },
+      calendar: { eventsEndpoint: null, accessToken: null, calendarId: 'primary' },
+      smsRecap: { enabled: false },
+      checkIns: { enabled: false, channel: 'sms' },
+      isGuest: true
+    };
+  }
+
+  // Outbound calls need a profile; only the configured DEFAULT_USER_PHONE gets the env credentials
+  async resolveUser(phoneNumber) {
+    const profile = await this.getByPhone(phoneNumber);
+    if (profile) return profile;
+
+    console.log(`⚠️ No profile for ${phoneNumber}, calling without integrations${process.env.DEFAULT_USER_PHONE ? '' : ' (set DEFAULT_USER_PHONE to use the env credentials)'}`);
+    return this.getGuestProfile(phoneNumber);
+  }
+
+  // CRUD used by routes/users.js
+  async listUsers() {
+    const docs = await users.find({}).sort({ createdAt: 1 }).toArray();
+    return docs.map(toProfile);
+  }
+
+  async getUser(id) {
+    const objectId = toObjectId(id);
+    const doc = objectId ? await users.findOne({ _id: objectId }) : null;
+    return doc ? toProfile(doc) : null;
+  }
+
+  async createUser(input) {
+    const { value, errors } = validateUser(input);
+    if (errors.length > 0) return { errors };
+
+    if (await this.isPhoneTaken(value.phoneNumber)) {
+      return { errors: [phoneTakenError(value.phoneNumber)] };
+    }
+
+    const now = new Date();
+    let result;
+    try {
+      result = await users.insertOne({
+        timezone: DEFAULT_TIMEZONE,
+        ...value,
+        createdAt: now,
+        updatedAt: now
+      });
+    } catch (error) {
+      // Lost a race with another create - the unique index caught it
+      if (error.code === DUPLICATE_KEY) return { errors: [phoneTakenError(value.phoneNumber)] };
+      throw error;
+    }
+
+    console.log(`✅ Created user profile for ${value.phoneNumber}`);
+    return { user: await this.getUser(result.insertedId) };
+  }
+
+  async updateUser(id, input) {
+    const objectId = toObjectId(id);
+    if (!objectId) return { user: null };
+
+    const { value, errors } = validateUser(input, { partial: true });
+    if (errors.length > 0) return { errors };
+
+    if (value.phoneNumber && await this.isPhoneTaken(value.phoneNumber, objectId)) {
+      return { errors: [phoneTakenError(value.phoneNumber)] };
+    }
+
+    // Merge nested credential blocks field by field instead of replacing them
+    const update = { updatedAt: new Date() };
+    Object.entries(value).forEach(([key, fieldValue]) => {
+      if (fieldValue && typeof fieldValue === 'object' && !Array.isArray(fieldValue)) {
+        Object.entries(fieldValue).forEach(([nestedKey, nestedValue]) => {
+          update[`${key}.${nestedKey}`] = nestedValue;
+        });
+      } else {
+        update[key] = fieldValue;
+      }
+    });
+
+    let result;
+    try {
+      result = await users.updateOne({ _id: objectId }, { $set: update });
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) return { errors: [phoneTakenError(value.phoneNumber)] };
+      throw error;
+    }
+    if (result.matchedCount === 0) return { user: null };
+
+    return { user: await this.getUser(objectId) };
+  }
+
+  // Whether another profile already has this (normalized) number
+  async isPhoneTaken(phone, exceptId = null) {
+    const query = exceptId ? { phoneNumber: phone, _id: { $ne: exceptId } } : { phoneNumber: phone };
+    return Boolean(await users.findOne(query));
+  }
+
+  async deleteUser(id) {
+    const objectId = toObjectId(id);
+    if (!objectId) return false;
+
+    const result = await users.deleteOne({ _id: objectId });
+    return result.deletedCount > 0;
+  }
+}
+
+const DUPLICATE_KEY = 11000; // MongoDB's error code for a unique index violation
+
+function phoneTakenError(phone) {
+  return `A user with phone number ${phone} already exists`;
+}
+
+function toObjectId(id) {
+  return ObjectId.isValid(id) ? new ObjectId(id) : null;
+}
+
+function toProfile(doc) {
+  const { _id, ...rest } = doc;
+  return { ...rest, userId: _id.toString() };
+}
+
+// Hide credentials when profiles go back out over the API
+export function redactProfile(profile) {
+  if (!profile) return profile;
+
+  const mask = (section = {}) => Object.fromEntries(
+    Object.entries(section).map(([key, value]) =>
+      [key, /token|key/i.test(key) && value ? '••••' + String(value).slice(-4) : value])
+  );
+
+  return {
+    ...profile,
+    habitica: mask(profile.habitica),
+    notion: mask(profile.notion),
+    calendar: mask(profile.calendar)
+  };
+}
+
+const CHECK_IN_CHANNELS = ['sms', 'call'];
+
+const CREDENTIAL_FIELDS = {
+  habitica: ['userId', 'apiToken'],
+  notion: ['apiKey', 'logsDatabaseId', 'tasksDatabaseId'],
+  calendar: ['eventsEndpoint', 'accessToken', 'calendarId']
+};
+
+// Validate and pick the fields a client is allowed to set
+export function validateUser(input = {}, { partial = false } = {}) {
+  const value = {};
+  const errors = [];
+
+  if (input.phoneNumber !== undefined || !partial) {
+    const phone = normalizePhone(input.phoneNumber);
+    if (!phone) {
+      errors.push('phoneNumber is required');
+    } else {
+      value.phoneNumber = phone;
+    }
+  }
+
+  if (input.displayName !== undefined) {
+    if (typeof input.displayName !== 'string' || !input.displayName.trim()) {
+      errors.push('displayName must be a non-empty string');
+    } else {
+      value.displayName = input.displayName.trim();
+    }
+  }
+
+  if (input.timezone !== undefined) {
+    if (typeof input.timezone !== 'string' || !DateTime.local().setZone(input.timezone).isValid) {
+      errors.push(`timezone "${input.timezone}" is not a valid IANA timezone`);
+    } else {
+      value.timezone = input.timezone;
+    }
+  }
+
+  if (input.smsRecap !== undefined) {
+    if (!input.smsRecap || typeof input.smsRecap !== 'object') {
+      errors.push('smsRecap must be an object');
+    } else {
+      value.smsRecap = {};
+      const { enabled, maxLength } = input.smsRecap;
+
+      if (enabled !== undefined) {
+        if (typeof enabled !== 'boolean') {
+          errors.push('smsRecap.enabled must be a boolean');
+        } else {
+          value.smsRecap.enabled = enabled;
+        }
+      }
+
+      if (maxLength !== undefined) {
+        if (!Number.isInteger(maxLength) || maxLength < 70 || maxLength > 1600) {
+          errors.push('smsRecap.maxLength must be an integer between 70 and 1600');
+        } else {
+          value.smsRecap.maxLength = maxLength;
+        }
+      }
+    }
+  }
+
+  if (input.checkIns !== undefined) {
+    if (!input.checkIns || typeof input.checkIns !== 'object') {
+      errors.push('checkIns must be an object');
+    } else {
+      value.checkIns = {};
+      const { enabled, channel } = input.checkIns;
+
+      if (enabled !== undefined) {
+        if (typeof enabled !== 'boolean') {
+          errors.push('checkIns.enabled must be a boolean');
+        } else {
+          value.checkIns.enabled = enabled;
+        }
+      }
+
+      if (channel !== undefined) {
+        if (!CHECK_IN_CHANNELS.includes(channel)) {
+          errors.push(`checkIns.channel must be one of ${CHECK_IN_CHANNELS.join(', ')}`);
+        } else {
+          value.checkIns.channel = channel;
+        }
+      }
+    }
+  }
+
+  Object.entries(CREDENTIAL_FIELDS).forEach(([section, fields]) => {
+    if (input[section] === undefined) return;
+
+    if (!input[section] || typeof input[section] !== 'object') {
+      errors.push(`${section} must be an object`);
+      return;
+    }
+
+    value[section] = {};
+    fields.forEach(field => {
+      const fieldValue = input[section][field];
+      if (fieldValue === undefined) return;
+
+      if (fieldValue !== null && typeof fieldValue !== 'string') {
+        errors.push(`${section}.${field} must be a string`);
+      } else {
+        value[section][field] = fieldValue;
+      }
+    });
+  });
+
+  return { value, errors };
+}
+
+export const userDirectory = new UserDirectory();